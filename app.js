@@ -1,247 +1,1068 @@
 /*
- * Vacation Balance Planner — app.js (refactored, no holiday logic)
+ * Vacation Balance Planner — app.js
  *
  * This script powers an interactive vacation balance planner.
- * It supports bi‑weekly accruals, calculating balances on demand,
+ * It supports several leave banks (vacation, sick, comp time, …),
+ * each with its own accruals, calculating balances on demand,
  * managing planned time off in date ranges, adding extra credits,
- * and visualising the next year’s balance in a line chart.
+ * and visualising the next year’s balances in a line chart.
  *
- * The code is organized into logical sections: helper functions
- * for dates and pay schedule calculations, state management,
- * core calculations for balances, rendering functions for the UI,
- * event wiring, and chart drawing helpers. Holiday logic has
- * intentionally been omitted – weekends are skipped but holidays
- * must be added manually as PTO ranges or credits.
+ * The date, pay schedule, schema and balance calculations live in
+ * core.js, which has no DOM access and is shared with Node. This file
+ * holds the page: profile storage and history, scenarios, import and
+ * export, syncing with the optional server (server.js) through the
+ * storage adapters in storage.js, rendering functions for the UI, event
+ * wiring, and chart drawing helpers. Weekends and observed holidays
+ * (built-in US federal rules plus custom company holidays) are skipped
+ * when charging PTO.
  */
 
+// Date, pay schedule, schema and balance helpers shared with Node (core.js)
+const {
+  fmt, ymd, toDateOnlyUTC, clampDate, addDays, daysBetween, csvField, FEDERAL_HOLIDAY_RULES,
+  STANDARD_WEEK, WEEKDAY_NAMES, describeWeek, PAY_SCHEDULE_TYPES,
+  isDateString, BUNDLE_TYPE, validateState, repairState, checkState, DEFAULT_BANK, SCENARIO_FIELDS,
+  normalizeState, removeBank, ptoRangeError, policyLimit, isValidResetDate, FORECAST_DAYS, describeBalanceCheck,
+  recurringOccurrences, recurrenceHorizon, describeRecurrence, ledgerBalanceOn, ledgerSeries,
+  CSV_COLUMNS, csvDate, readCsvRows,
+} = VacationCore;
+
+// Plan storage in this browser and on an optional sync server (storage.js)
+const {
+  PROFILE_INDEX_KEY, STATE_KEY, stateKey, savedAtKey, ConflictError, createLocalAdapter, createHttpAdapter,
+} = VacationStorage;
+
 /* =========================
  * Helpers & date utilities
  * ========================= */
 
-const MS_PER_DAY = 86400000;
+// Escape a value for use inside a double-quoted HTML attribute
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
 
-// Format a number of hours to a string with two decimals and an "h" suffix
-function fmt(hours) {
-  return `${(Math.round(hours * 100) / 100).toFixed(2)} h`;
+// Offer text or a Blob to the user as a file download
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
-// Convert a Date object to a YYYY-MM-DD string in UTC.  This helper was
-// referenced throughout the code but was previously undefined, causing the
-// script to break.  It returns a simple date string without time and is
-// used for keys, labels, and comparisons.
-function ymd(date) {
-  return date.toISOString().slice(0, 10);
+/* =========================
+ * Work schedules
+ * ========================= */
+
+// Common schedules offered in the settings form
+const SCHEDULE_PRESETS = {
+  standard: { weekA: STANDARD_WEEK, weekB: null },
+  fourTens: { weekA: [0, 10, 10, 10, 10, 0, 0], weekB: null },
+  nineEighty: { weekA: [0, 9, 9, 9, 9, 8, 0], weekB: [0, 9, 9, 9, 9, 0, 0] },
+  partTime60: { weekA: [0, 4.8, 4.8, 4.8, 4.8, 4.8, 0], weekB: null },
+};
+
+/* =========================
+ * Application state
+ * ========================= */
+
+// Line colors for banks, in order
+const BANK_COLORS = ['#111827', '#2563eb', '#059669', '#d97706', '#7c3aed', '#db2777'];
+
+// Line colors for scenarios, in order
+const SCENARIO_COLORS = ['#dc2626', '#0891b2', '#65a30d', '#ea580c', '#9333ea', '#0d9488'];
+
+// localStorage key of the sync server settings (see "Sync server" below)
+const SYNC_KEY = 'vacation_planner_sync_v1';
+
+// Undo/redo history per profile id: { undo: [json], redo: [json], saved: json }
+// where `saved` is the state as last loaded or saved. Kept for this page only.
+const HISTORY_LIMIT = 50;
+const stateHistory = new Map();
+
+// Plan opened from a shared link: { data, viewing } while its banner shows.
+// While `viewing`, `state` is the shared plan and nothing is saved.
+let sharedPlan = null;
+
+// Problems found while loading the active profile, shown once the page is
+// ready, and whether the original data could be kept as a backup
+let stateLoadErrors = [];
+let stateBackedUp = true;
+
+// Why the last save of the active profile failed (null when it worked), and
+// where its stored state was last changed when not in this tab, such as
+// 'in another tab'
+let saveError = null;
+let savedFrom = null;
+
+// Plans in this browser, the copy the page works from
+const localPlans = createLocalAdapter(localStorage);
+
+// The sync server, when one is set up, and how the last sync went:
+// { busy, error, at } with the error message and time of the last success
+let remotePlans = null;
+let syncStatus = { busy: false, error: null, at: null };
+let syncTimer = null;
+
+// Wait after a change before syncing, so a burst of edits is sent once
+const SYNC_DELAY_MS = 2000;
+
+// Calculations over the active plan. The planner reads `state` on every call,
+// so clearCaches() is all that is needed after the state changes.
+const planner = VacationCore.createPlanner(() => state);
+const {
+  holidayName, holidaysBetween, scheduleOn, accrualRules, getPaydaysBetween, nextPayday, getBank,
+  bankEntries, defaultPTOHours, ptoRangeHours, hasBalancePolicy, nextResetAfter,
+  totalBalanceLosses, latestPTODate, totalFuturePTO, balanceCheck, ptoRangeCheck,
+  findAffordableTrips, plannedPTO, plannedCredits, ledgerFor, getBalanceOn, snapshotDrift,
+  forecastCsv, clearCaches,
+} = planner;
+
+let profiles = loadProfiles();
+let state = loadState();
+
+// Create a short random id for a profile
+function makeId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
 }
 
-// Normalize a Date (or date string) to a UTC date (00:00:00Z)
-function toDateOnlyUTC(value) {
-  if (!value) return null;
-  if (typeof value === 'string') {
-    const [y, m, d] = value.split('-').map(Number);
-    return new Date(Date.UTC(y, m - 1, d));
+// Load the profile index ({ activeId, profiles: [{ id, name }] }). Before
+// profiles existed the single plan lived under the bare state key; it
+// becomes the first profile.
+function loadProfiles() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PROFILE_INDEX_KEY));
+    if (parsed && Array.isArray(parsed.profiles) && parsed.profiles.length) {
+      const active = parsed.profiles.some((p) => p.id === parsed.activeId) ? parsed.activeId : parsed.profiles[0].id;
+      return { activeId: active, profiles: parsed.profiles };
+    }
+  } catch {
+    // fall through to a fresh index
+  }
+  const index = { activeId: 'default', profiles: [{ id: 'default', name: 'My plan' }] };
+  try {
+    const legacy = localStorage.getItem(STATE_KEY);
+    if (legacy && !localStorage.getItem(stateKey('default'))) localStorage.setItem(stateKey('default'), legacy);
+    localStorage.setItem(PROFILE_INDEX_KEY, JSON.stringify(index));
+  } catch {
+    // storage unavailable; keep the index in memory
   }
-  // assume Date instance
-  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  return index;
 }
 
-// Clamp a date to just the date part (UTC)
-const clampDate = (d) => toDateOnlyUTC(toDateOnlyUTC(d));
+// Persist the profile index
+function saveProfiles() {
+  localStorage.setItem(PROFILE_INDEX_KEY, JSON.stringify(profiles));
+}
 
-// Add n days to a date
-function addDays(date, n) {
-  return new Date(date.getTime() + n * MS_PER_DAY);
+// The active profile's { id, name }
+function activeProfile() {
+  return profiles.profiles.find((p) => p.id === profiles.activeId);
 }
 
-// Count days between two dates (inclusive) and return an integer
-function daysBetween(a, b) {
-  return Math.floor((clampDate(b) - clampDate(a)) / MS_PER_DAY);
+// Read a profile's state from localStorage as { state, errors, backedUp }.
+// Data that fails validation is repaired as far as possible, and the
+// original is kept under a backup key so nothing is lost on the next save.
+// When storage is too full for the backup the repaired state still loads,
+// with `backedUp` false.
+function readState(profileId) {
+  const key = stateKey(profileId);
+  let raw = null;
+  try {
+    raw = localPlans.load(profileId)?.json;
+  } catch {
+    return { state: normalizeState({}), errors: [], backedUp: true };
+  }
+  if (!raw) return { state: normalizeState({}), errors: [], backedUp: true };
+  let parsed;
+  let result;
+  try {
+    parsed = JSON.parse(raw);
+    result = checkState(parsed);
+  } catch {
+    result = { data: null, errors: [{ path: '(root)', message: 'is not valid JSON' }] };
+  }
+  if (!result.errors.length) return { state: normalizeState(result.data), errors: [], backedUp: true };
+  let backedUp = true;
+  try {
+    localStorage.setItem(`${key}:backup`, raw);
+  } catch {
+    backedUp = false;
+  }
+  const repaired = result.data ? repairState(result.data, validateState(result.data)) : {};
+  return { state: normalizeState(repaired), errors: result.errors, backedUp };
 }
 
-// Determine if a date is a weekday (Mon–Fri)
-function isWeekday(date) {
-  const day = clampDate(date).getUTCDay();
-  return day !== 0 && day !== 6;
+// Store a profile's state and the time it was saved, and send it to the
+// sync server shortly. Throws when storage is full or unavailable.
+function writeState(profileId, json) {
+  localPlans.save(profileId, json);
+  scheduleSync();
 }
 
-// Count weekdays (Mon–Fri) between two dates inclusive
-function weekdaysBetweenInclusive(fromDate, toDate) {
-  let from = clampDate(fromDate);
-  let to = clampDate(toDate);
-  if (to < from) return 0;
-  let count = 0;
-  for (let d = from; d <= to; d = addDays(d, 1)) {
-    if (isWeekday(d)) count++;
+// When a profile's state was last saved, as a Date, or null when unknown
+function savedAt(profileId) {
+  try {
+    const value = localStorage.getItem(savedAtKey(profileId));
+    return value ? new Date(value) : null;
+  } catch {
+    return null;
   }
-  return count;
+}
+
+// Load the state of a profile (the active one by default), recording any
+// problems for display
+function loadState(profileId = profiles.activeId) {
+  const { state: loaded, errors, backedUp } = readState(profileId);
+  stateLoadErrors = errors;
+  stateBackedUp = backedUp;
+  historyFor(profileId).saved = JSON.stringify(loaded);
+  return loaded;
+}
+
+// Undo/redo history of a profile, created on first use
+function historyFor(profileId) {
+  if (!stateHistory.has(profileId)) stateHistory.set(profileId, { undo: [], redo: [], saved: null });
+  return stateHistory.get(profileId);
+}
+
+// Record that a profile's stored state changed to `json`, so the previous
+// version can be restored with undo
+function recordHistory(profileId, json) {
+  const history = historyFor(profileId);
+  if (history.saved !== null && history.saved !== json) {
+    history.undo.push(history.saved);
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+  }
+  history.saved = json;
+}
+
+// Line color for a bank
+function bankColor(bank) {
+  const i = state.banks.indexOf(bank);
+  return BANK_COLORS[(i < 0 ? 0 : i) % BANK_COLORS.length];
+}
+
+// Create a unique id for a new bank from its name
+function makeBankId(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 56).replace(/^-|-$/g, '') || 'bank';
+  let id = base;
+  for (let n = 2; state.banks.some((b) => b.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Persist the active profile's state to localStorage
+function saveState() {
+  clearCaches();
+  if (sharedPlan && sharedPlan.viewing) {
+    // Throw away the edit; callers re-render afterwards
+    state = normalizeState(sharedPlan.data);
+    clearCaches();
+    alert('This shared plan is read-only. Import it as a new plan or merge it into yours to make changes.');
+    return;
+  }
+  const json = JSON.stringify(state);
+  recordHistory(profiles.activeId, json);
+  savedFrom = null;
+  try {
+    writeState(profiles.activeId, json);
+    saveError = null;
+  } catch (err) {
+    // Keep working from memory; the save status shows the problem
+    saveError = err;
+  }
+}
+
+// Step the active profile's state back (`undo`) or forward (`redo`) through
+// its history. Returns false when there is nothing to step to.
+function stepHistory(direction) {
+  if (sharedPlan && sharedPlan.viewing) return false;
+  const history = historyFor(profiles.activeId);
+  const from = direction === 'undo' ? history.undo : history.redo;
+  const to = direction === 'undo' ? history.redo : history.undo;
+  if (!from.length) return false;
+  to.push(history.saved);
+  history.saved = from.pop();
+  state = normalizeState(JSON.parse(history.saved));
+  clearCaches();
+  savedFrom = null;
+  try {
+    writeState(profiles.activeId, history.saved);
+    saveError = null;
+  } catch (err) {
+    saveError = err;
+  }
+  return true;
+}
+
+// Make another profile active and load its state
+function switchProfile(profileId) {
+  sharedPlan = null;
+  saveError = null;
+  savedFrom = null;
+  profiles.activeId = profileId;
+  saveProfiles();
+  state = loadState(profileId);
+  clearCaches();
+}
+
+// Add a profile with the given state and make it active
+function addProfile(name, data) {
+  const profile = { id: makeId(), name };
+  profiles.profiles.push(profile);
+  writeState(profile.id, JSON.stringify(normalizeState(data)));
+  switchProfile(profile.id);
+  return profile;
+}
+
+// Remove a profile and its stored state; another profile becomes active
+function deleteProfile(profileId) {
+  profiles.profiles = profiles.profiles.filter((p) => p.id !== profileId);
+  localPlans.remove(profileId);
+  stateHistory.delete(profileId);
+  scheduleSync();
+  switchProfile(profiles.profiles[0].id);
 }
 
 /* =========================
- * Pay schedule helpers
+ * Sync server
  * ========================= */
 
-// Return the number of paydays that have occurred from the first payday up to targetDate
-function countPaydays(firstPayday, targetDate, frequencyDays) {
-  const start = clampDate(firstPayday);
-  const end = clampDate(targetDate);
-  if (end < start) return 0;
-  const diffDays = daysBetween(start, end);
-  return Math.floor(diffDays / frequencyDays) + 1;
+// Sync settings: { url, plans: { [profileId]: { etag, base } } } where
+// `etag` is the server's version of a plan when it was last synced and
+// `base` the version in this browser it matched. A plan whose local ETag is
+// no longer `base` has changes to send; one whose server ETag is no longer
+// `etag` has changes to fetch.
+function loadSyncSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SYNC_KEY));
+    if (parsed && typeof parsed.url === 'string' && parsed.url) {
+      return { url: parsed.url, plans: parsed.plans && typeof parsed.plans === 'object' ? parsed.plans : {} };
+    }
+  } catch {
+    // no usable settings
+  }
+  return { url: '', plans: {} };
+}
+
+// Remember how a plan was last synced, or forget it (`record` null)
+function setSyncRecord(profileId, record) {
+  const settings = loadSyncSettings();
+  if (record) settings.plans[profileId] = record;
+  else delete settings.plans[profileId];
+  localStorage.setItem(SYNC_KEY, JSON.stringify(settings));
 }
 
-// Get the next payday on or after a given date
-function nextPaydayOnOrAfter(date, firstPayday, frequencyDays) {
-  const d = clampDate(date);
-  const first = clampDate(firstPayday);
-  if (d <= first) return first;
-  const diff = daysBetween(first, d);
-  const steps = Math.ceil(diff / frequencyDays);
-  return addDays(first, steps * frequencyDays);
+// Mark a profile as changed here so it is sent on the next sync, for changes
+// such as a new name that do not touch its stored state
+function markForSync(profileId) {
+  const record = loadSyncSettings().plans[profileId];
+  if (record) setSyncRecord(profileId, { ...record, base: null });
+  scheduleSync();
+}
+
+// Use the sync server saved in this browser, if any, and sync right away
+function startSync() {
+  const { url } = loadSyncSettings();
+  remotePlans = url ? createHttpAdapter(url) : null;
+  syncStatus = { busy: false, error: null, at: null };
+  syncNow();
+}
+
+// Start syncing with the server at `url` once it answers. Plans already on
+// the server are matched to profiles here by id.
+async function connectSync(url) {
+  const remote = createHttpAdapter(url);
+  await remote.list();
+  localStorage.setItem(SYNC_KEY, JSON.stringify({ url: remote.url, plans: {} }));
+  startSync();
+}
+
+// Stop syncing; plans stay in this browser and on the server
+function disconnectSync() {
+  clearTimeout(syncTimer);
+  localStorage.removeItem(SYNC_KEY);
+  remotePlans = null;
+  syncStatus = { busy: false, error: null, at: null };
+}
+
+function scheduleSync() {
+  if (!remotePlans) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncNow, SYNC_DELAY_MS);
+}
+
+// Bring this browser and the sync server up to date, plan by plan. A sync
+// asked for while one runs starts again once it ends.
+async function syncNow() {
+  const remote = remotePlans;
+  if (!remote) return;
+  if (syncStatus.busy) {
+    syncStatus.again = true;
+    return;
+  }
+  clearTimeout(syncTimer);
+  syncStatus = { ...syncStatus, busy: true, again: false };
+  renderSync();
+  let changed = false;
+  try {
+    const listed = new Map((await remote.list()).map((p) => [p.id, p]));
+    const ids = new Set([...profiles.profiles.map((p) => p.id), ...listed.keys(), ...Object.keys(loadSyncSettings().plans)]);
+    for (const id of ids) {
+      if (remote !== remotePlans) break;
+      if (await syncPlan(remote, id, listed.get(id) || null)) changed = true;
+    }
+    syncStatus = { busy: false, error: null, at: new Date(), again: syncStatus.again };
+  } catch (err) {
+    syncStatus = { busy: false, error: err.message, at: syncStatus.at, again: syncStatus.again };
+  }
+  if (changed) {
+    saveProfiles();
+    renderAll();
+    refreshForecastIfVisible();
+  } else {
+    renderSync();
+    renderSaveStatus();
+  }
+  if (syncStatus.again) syncNow();
+}
+
+// Sync one plan, given its { etag } in the server's list (null when the
+// server has none). Returns true when this browser's profiles changed.
+async function syncPlan(remote, id, listed) {
+  const record = loadSyncSettings().plans[id];
+  const profile = profiles.profiles.find((p) => p.id === id);
+  if (!profile) {
+    if (!record) return takeServerPlan(remote, id, null, null);
+    // Deleted here since the last sync: delete it on the server too, unless
+    // it changed there meanwhile, in which case the server's copy comes back
+    try {
+      if (listed) await remote.remove(id, record.etag);
+      setSyncRecord(id, null);
+      return false;
+    } catch (err) {
+      if (!(err instanceof ConflictError) || !err.current) throw err;
+      return takeServerPlan(remote, id, err.current, null);
+    }
+  }
+  const local = localPlans.load(id);
+  // A profile never saved here has nothing to send
+  if (!local) return listed ? takeServerPlan(remote, id, null, null) : false;
+  const localChanged = !record || local.etag !== record.base;
+  if (!listed) {
+    // Deleted on the server since the last sync: follow unless it changed
+    // here or is the last profile
+    if (record && !localChanged && profiles.profiles.length > 1) {
+      profiles.profiles = profiles.profiles.filter((p) => p.id !== id);
+      localPlans.remove(id);
+      stateHistory.delete(id);
+      setSyncRecord(id, null);
+      if (id === profiles.activeId) switchProfile(profiles.profiles[0].id);
+      return true;
+    }
+    return sendPlan(remote, id, local, null);
+  }
+  const remoteChanged = !record || listed.etag !== record.etag;
+  if (!localChanged && !remoteChanged) return false;
+  if (!localChanged) return takeServerPlan(remote, id, null, local.etag);
+  if (!remoteChanged) return sendPlan(remote, id, local, record.etag);
+  return resolveConflict(remote, id, local, await remote.load(id));
+}
+
+// Send this browser's copy of a plan, based on the server's `etag` (null
+// when the server should not have it yet). Returns true when this
+// browser's copy changed, which only happens through a conflict.
+async function sendPlan(remote, id, local, etag) {
+  const name = profiles.profiles.find((p) => p.id === id).name;
+  try {
+    const saved = await remote.save(id, local.json, { etag, name });
+    setSyncRecord(id, { etag: saved.etag, base: local.etag });
+    return false;
+  } catch (err) {
+    if (!(err instanceof ConflictError)) throw err;
+    return resolveConflict(remote, id, local, err.current);
+  }
 }
 
-// Generate an array of payday dates between a start and end date (inclusive)
-function getPaydaysBetween(startDate, endDate, firstPayday, frequencyDays) {
-  const result = [];
-  const start = clampDate(startDate);
-  const end = clampDate(endDate);
-  let next = nextPaydayOnOrAfter(start, firstPayday, frequencyDays);
-  while (next <= end) {
-    result.push(next);
-    next = addDays(next, frequencyDays);
+// Store the server's copy of a plan here (loading it when `plan` is null),
+// adding a profile for it when needed. The copy it replaces stays in the
+// profile's undo history. Nothing is replaced when the plan was edited here
+// after `localEtag`, the version seen when the sync decided to fetch it.
+async function takeServerPlan(remote, id, plan, localEtag) {
+  const server = plan || (await remote.load(id));
+  if (!server) return false;
+  const current = localPlans.load(id);
+  if ((current ? current.etag : null) !== localEtag) return false;
+  const { etag } = localPlans.save(id, server.json);
+  setSyncRecord(id, { etag: server.etag, base: etag });
+  const profile = profiles.profiles.find((p) => p.id === id);
+  if (profile) profile.name = server.name || profile.name;
+  else profiles.profiles.push({ id, name: server.name || 'Synced plan' });
+  const { state: stored } = readState(id);
+  if (historyFor(id).saved !== null) recordHistory(id, JSON.stringify(stored));
+  if (id === profiles.activeId && !(sharedPlan && sharedPlan.viewing)) {
+    state = stored;
+    clearCaches();
+    saveError = null;
+    savedFrom = 'from the sync server';
   }
-  return result;
+  return true;
+}
+
+// A plan changed both here and on the server since the last sync: ask which
+// copy to keep. Copies with the same content need no choice.
+async function resolveConflict(remote, id, local, server) {
+  if (!server) return sendPlan(remote, id, local, null);
+  const same = (json) => JSON.stringify(normalizeState(JSON.parse(json)));
+  if (same(local.json) === same(server.json)) {
+    setSyncRecord(id, { etag: server.etag, base: local.etag });
+    return false;
+  }
+  const name = profiles.profiles.find((p) => p.id === id).name;
+  const keepLocal = confirm(
+    `“${name}” was changed both in this browser and on the sync server since they last synced.\n\n` +
+      'OK keeps the version in this browser and replaces the copy on the server.\n' +
+      "Cancel replaces this browser's version with the server's copy (Undo brings it back)."
+  );
+  if (keepLocal) return sendPlan(remote, id, local, server.etag);
+  return takeServerPlan(remote, id, server, local.etag);
 }
 
 /* =========================
- * Application state
+ * What-if scenarios
  * ========================= */
 
-// Default settings and data structures
-const DEFAULTS = {
-  startDate: '2026-01-01',
-  startBalance: -15.78,
-  accrualPerPeriod: 4.61,
-  firstPayday: '2026-01-08',
-  payFrequencyDays: 14,
-  ptoRanges: [],
-  credits: [],
-};
-
-let state = loadState();
+// The plan as a scenario would leave it: the current state plus the
+// scenario's extra PTO and credits and its bank setting changes
+function scenarioState(scenario) {
+  return {
+    ...state,
+    banks: state.banks.map((b) => ({ ...b, ...(scenario.bankChanges[b.id] || {}) })),
+    ptoRanges: [...state.ptoRanges, ...scenario.ptoRanges],
+    credits: [...state.credits, ...scenario.credits],
+  };
+}
 
-// Load state from localStorage or fall back to defaults
-function loadState() {
+// Run a calculation against a scenario's version of the plan
+function withScenario(scenario, fn) {
+  const saved = state;
+  state = scenarioState(scenario);
+  clearCaches();
   try {
-    const raw = localStorage.getItem('vacation_planner_state_v3');
-    if (raw) {
-      const parsed = JSON.parse(raw);
-      return {
-        ...DEFAULTS,
-        ...parsed,
-        ptoRanges: Array.isArray(parsed.ptoRanges) ? parsed.ptoRanges : [],
-        credits: Array.isArray(parsed.credits) ? parsed.credits : [],
-      };
-    }
-    return { ...DEFAULTS };
-  } catch {
-    return { ...DEFAULTS };
+    return fn();
+  } finally {
+    state = saved;
+    clearCaches();
   }
 }
 
-// Persist state to localStorage
-function saveState() {
-  localStorage.setItem('vacation_planner_state_v3', JSON.stringify(state));
+// Short description of each change a scenario makes, as { kind, index, text }
+function scenarioChanges(scenario) {
+  const changes = [];
+  scenario.ptoRanges.forEach((r, index) => {
+    const note = r.note ? ` (${r.note})` : '';
+    changes.push({ kind: 'pto', index, text: `PTO ${r.from} – ${r.to} from ${getBank(r.bank).name}: ${fmt(ptoRangeHours(r))}${note}` });
+  });
+  scenario.credits.forEach((c, index) => {
+    changes.push({ kind: 'credit', index, text: `Credit ${c.date} to ${getBank(c.bank).name}: ${fmt(Number(c.hours) || 0)}` });
+  });
+  for (const [bankId, fields] of Object.entries(scenario.bankChanges)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const shown = value === null ? 'none' : fmt(value);
+      changes.push({ kind: 'setting', bankId, field, text: `${getBank(bankId).name} ${SCENARIO_FIELDS[field].toLowerCase()}: ${shown}` });
+    }
+  }
+  return changes;
+}
+
+/* =========================
+ * iCalendar import & export
+ * ========================= */
+
+// Escape text for an iCalendar property value
+function icsEscape(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Undo icsEscape
+function icsUnescape(text) {
+  return text.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// Fold a content line to 75 octets of UTF-8 as RFC 5545 requires, counting
+// the leading space of each continuation and never splitting a character
+function icsFold(line) {
+  const parts = [''];
+  let octets = 0;
+  for (const char of line) {
+    const code = char.codePointAt(0);
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    if (octets + size > 75) {
+      parts.push('');
+      octets = 1;
+    }
+    parts[parts.length - 1] += char;
+    octets += size;
+  }
+  return parts.join('\r\n ');
+}
+
+// Build an .ics calendar with one all-day event per PTO range of a profile.
+// DTEND is exclusive, so it is the day after the range's last day. UIDs
+// name the profile and bank, so the same dates planned in two profiles or
+// banks stay separate events in a calendar that imports both.
+function buildIcs(ranges, profileId) {
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Vacation Balance Planner//EN', 'CALSCALE:GREGORIAN'];
+  for (const r of ranges) {
+    const end = ymd(addDays(toDateOnlyUTC(r.to), 1));
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:pto-${profileId}-${r.bank || 'vacation'}-${r.from}-${r.to}@vacation-planner`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${r.from.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${end.replace(/-/g, '')}`,
+      `SUMMARY:${icsEscape(r.note || 'PTO')}`,
+      `CATEGORIES:${icsEscape(getBank(r.bank).name)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(icsFold).join('\r\n')}\r\n`;
+}
+
+// Date part of an iCalendar DATE or DATE-TIME value as YYYY-MM-DD
+function icsDateValue(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(T(\d{6}))?/.exec(value || '');
+  if (!m) return null;
+  return { date: `${m[1]}-${m[2]}-${m[3]}`, midnight: !m[4] || m[5] === '000000' };
+}
+
+// Read the events of an .ics file as { uid, summary, description, categories,
+// from, to } with inclusive YYYY-MM-DD dates. Events without a start date are skipped.
+function parseIcs(text) {
+  const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let event = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = { categories: [] };
+      continue;
+    }
+    if (!event) continue;
+    if (line === 'END:VEVENT') {
+      const start = icsDateValue(event.dtstart);
+      if (start) {
+        const end = icsDateValue(event.dtend);
+        let to = start.date;
+        // All-day ends (and timed ends at midnight) are exclusive
+        if (end && end.date > start.date) to = end.midnight ? ymd(addDays(toDateOnlyUTC(end.date), -1)) : end.date;
+        events.push({
+          uid: event.uid || '',
+          summary: event.summary || '',
+          description: event.description || '',
+          categories: event.categories,
+          from: start.date,
+          to,
+        });
+      }
+      event = null;
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1);
+    if (name === 'DTSTART' || name === 'DTEND') event[name.toLowerCase()] = value;
+    else if (name === 'UID') event.uid = value;
+    else if (name === 'SUMMARY' || name === 'DESCRIPTION') event[name.toLowerCase()] = icsUnescape(value);
+    else if (name === 'CATEGORIES') event.categories.push(...value.split(/(?<!\\),/).map((c) => icsUnescape(c).trim()));
+  }
+  return events;
+}
+
+// Events whose summary, description or categories contain the keyword
+function filterIcsEvents(events, keyword) {
+  const k = keyword.trim().toLowerCase();
+  if (!k) return events;
+  return events.filter((e) => [e.summary, e.description, ...e.categories].some((t) => t.toLowerCase().includes(k)));
+}
+
+// Describe how an event clashes with existing entries when imported as
+// 'pto' or 'holiday', or return null when it is new
+function icsDuplicate(event, target) {
+  if (target === 'holiday') {
+    for (let d = toDateOnlyUTC(event.from); d <= toDateOnlyUTC(event.to); d = addDays(d, 1)) {
+      const name = holidayName(d);
+      if (name) return `${ymd(d)} is already ${name}`;
+    }
+    return null;
+  }
+  const same = state.ptoRanges.find((r) => r.from === event.from && r.to === event.to);
+  if (same) return 'Already planned';
+  const overlap = state.ptoRanges.find((r) => r.from <= event.to && r.to >= event.from);
+  return overlap ? `Overlaps ${overlap.from} – ${overlap.to}` : null;
+}
+
+/* =========================
+ * CSV import & export
+ * ========================= */
+
+// Bank id for a bank written by id or name; the first bank when blank and
+// null when no bank matches
+function csvBankId(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (!value) return state.banks[0].id;
+  const bank = state.banks.find((b) => b.id.toLowerCase() === value || b.name.toLowerCase() === value);
+  return bank ? bank.id : null;
+}
+
+// Turn one row of a PTO CSV into a range, or an error message
+function ptoFromCsv(get) {
+  const from = csvDate(get('from'));
+  const to = get('to').trim() ? csvDate(get('to')) : from;
+  if (!from || !to) return 'Dates must be written as YYYY-MM-DD or M/D/YYYY.';
+  const bank = csvBankId(get('bank'));
+  if (!bank) return `There is no bank named "${get('bank').trim()}".`;
+  const range = { from, to, bank, note: get('note').trim() };
+  if (get('totalHours').trim()) range.totalHours = Number(get('totalHours'));
+  const error = ptoRangeError(range);
+  if (error) return error;
+  if (state.ptoRanges.some((r) => r.from === from && r.to === to && r.bank === bank)) return 'This range is already planned.';
+  range.hours = ptoRangeHours(range);
+  return range;
+}
+
+// Turn one row of a credits CSV into a credit, or an error message
+function creditFromCsv(get) {
+  const date = csvDate(get('date'));
+  if (!date) return 'Dates must be written as YYYY-MM-DD or M/D/YYYY.';
+  const hours = Number(get('hours'));
+  if (!get('hours').trim() || !isFinite(hours) || hours <= 0) return 'Hours must be a positive number.';
+  const bank = csvBankId(get('bank'));
+  if (!bank) return `There is no bank named "${get('bank').trim()}".`;
+  if (state.credits.some((c) => c.date === date && c.bank === bank && Number(c.hours) === hours)) return 'This credit is already recorded.';
+  return { date, hours, bank, note: get('note').trim() };
+}
+
+// Read PTO ranges ('pto') or credits ('credit') from CSV text with a header
+// row, with the columns matched by name or given as `columns`. Returns
+// { items, errors, header, columns, missing }; errors are { path, message }
+// with the line number as the path, like the state validation errors.
+function readCsvImport(text, kind, columns) {
+  const { header, records, ...mapped } = readCsvRows(text, kind, columns);
+  if (!header.length) return { items: [], errors: [{ path: '(file)', message: 'The file is empty.' }], header, ...mapped };
+  if (mapped.missing.length) return { items: [], errors: [], header, ...mapped };
+  const toItem = kind === 'pto' ? ptoFromCsv : creditFromCsv;
+  const items = [];
+  const errors = [];
+  for (const { line, values } of records) {
+    const item = toItem((field) => values[field]);
+    if (typeof item === 'string') errors.push({ path: `line ${line}`, message: item });
+    else items.push(item);
+  }
+  return { items, errors, header, ...mapped };
+}
+
+// CSV of PTO ranges. total_hours is blank when a range charges its scheduled
+// hours; ranges with per-day hours are written with their total.
+function ptoCsv(ranges) {
+  const lines = ['from,to,bank,total_hours,hours,note'];
+  for (const r of ranges) {
+    const total = r.totalHours != null ? Number(r.totalHours) : r.dayHours ? ptoRangeHours(r) : '';
+    lines.push([r.from, r.to, csvField(getBank(r.bank).name), total, ptoRangeHours(r).toFixed(2), csvField(r.note || '')].join(','));
+  }
+  return lines.join('\n');
+}
+
+// CSV of credits
+function creditsCsv(credits) {
+  const lines = ['date,bank,hours,note'];
+  for (const c of credits) lines.push([c.date, csvField(getBank(c.bank).name), Number(c.hours) || 0, csvField(c.note || '')].join(','));
+  return lines.join('\n');
 }
 
 /* =========================
- * Core calculations
+ * Shared plan links
  * ========================= */
 
-// Calculate PTO hours used up to and including a target date
-function ptoHoursUpTo(targetDateStr) {
-  const target = toDateOnlyUTC(targetDateStr);
-  let hours = 0;
-  for (const r of state.ptoRanges) {
-    const from = toDateOnlyUTC(r.from);
-    const to = toDateOnlyUTC(r.to);
-    if (from > target) continue;
-    const end = to <= target ? to : target;
-    hours += weekdaysBetweenInclusive(from, end) * 8;
-  }
-  return hours;
-}
-
-// Calculate credit hours earned up to and including a target date
-function creditHoursUpTo(targetDateStr) {
-  const target = toDateOnlyUTC(targetDateStr);
-  let hours = 0;
-  for (const c of state.credits) {
-    const d = toDateOnlyUTC(c.date);
-    if (d <= target) hours += Math.max(0, Number(c.hours) || 0);
-  }
-  return hours;
-}
-
-// Get the balance on a specific date
-function getBalanceOn(targetDateStr) {
-  const target = toDateOnlyUTC(targetDateStr);
-  const firstPayday = toDateOnlyUTC(state.firstPayday);
-  const accrual = Number(state.accrualPerPeriod) || 0;
-  const freq = Number(state.payFrequencyDays) || 14;
-  let balance = Number(state.startBalance) || 0;
-  if (target >= firstPayday) {
-    const periods = countPaydays(firstPayday, target, freq);
-    balance += periods * accrual;
-  }
-  balance -= ptoHoursUpTo(targetDateStr);
-  balance += creditHoursUpTo(targetDateStr);
-  return balance;
-}
-
-// Find the latest date of any PTO range (for dashboard)
-function latestPTODate() {
-  if (!state.ptoRanges.length) return null;
-  return state.ptoRanges
-    .map((r) => toDateOnlyUTC(r.to))
-    .sort((a, b) => b - a)[0];
-}
-
-// Compute total planned PTO hours in the future from a given date
-function totalFuturePTO(fromDateStr) {
-  const from = toDateOnlyUTC(fromDateStr);
-  let hours = 0;
-  for (const r of state.ptoRanges) {
-    const fromDate = toDateOnlyUTC(r.from);
-    const toDate = toDateOnlyUTC(r.to);
-    if (toDate < from) continue;
-    const start = fromDate < from ? from : fromDate;
-    hours += weekdaysBetweenInclusive(start, toDate) * 8;
-  }
-  return hours;
+// Links carry the plan in the URL fragment as `#plan=<version>.<codec>.<data>`
+// where codec `z` is deflate-compressed JSON and `j` is plain JSON, both
+// base64url encoded. The fragment never reaches a server.
+const SHARE_PARAM = 'plan';
+const SHARE_VERSION = 1;
+
+// Base64url text of some bytes
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Bytes of base64url text
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// Pipe bytes through a CompressionStream or DecompressionStream
+async function pipeBytes(bytes, stream) {
+  const piped = new Response(bytes).body.pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+// The part of a state that is shared: settings, PTO and credits, without
+// what-if scenarios
+function shareableState(data) {
+  const { scenarios, ...shared } = data;
+  return shared;
+}
+
+// Encode a state as the value of the share fragment
+async function encodeSharedPlan(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(shareableState(data)));
+  if (typeof CompressionStream === 'undefined') return `${SHARE_VERSION}.j.${base64UrlEncode(bytes)}`;
+  return `${SHARE_VERSION}.z.${base64UrlEncode(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+// Decode the value of a share fragment back to the shared data. Throws an
+// Error with a readable message when the link is damaged or from a newer version.
+async function decodeSharedPlan(value) {
+  const [version, codec, data] = value.split('.');
+  if (Number(version) > SHARE_VERSION) throw new Error('The link was made by a newer version of the planner.');
+  if (Number(version) !== SHARE_VERSION || !data || !['z', 'j'].includes(codec)) throw new Error('The link is not a plan link.');
+  let decoded;
+  try {
+    let bytes = base64UrlDecode(data);
+    if (codec === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    decoded = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('The link is incomplete or damaged.');
+  }
+  // Links never carry scenarios; ignore any that a hand-made link adds
+  return decoded && typeof decoded === 'object' && !Array.isArray(decoded) ? shareableState(decoded) : decoded;
+}
+
+// Value of the plan parameter in a URL fragment, or null
+function sharedPlanParam(hash) {
+  const match = /^#?plan=(.+)$/.exec(hash || '');
+  return match ? match[1] : null;
+}
+
+// Link to the page that opens the given state
+async function shareLink(data) {
+  const url = new URL(location.href);
+  url.hash = `${SHARE_PARAM}=${await encodeSharedPlan(data)}`;
+  return url.href;
+}
+
+// PTO ranges, credits, recurring rules and banks of `data` that the current state lacks
+function sharedPlanAdditions(data) {
+  return {
+    banks: data.banks.filter((b) => !state.banks.some((own) => own.id === b.id)),
+    ptoRanges: data.ptoRanges.filter((r) => !state.ptoRanges.some((own) => own.from === r.from && own.to === r.to && own.bank === r.bank)),
+    credits: data.credits.filter((c) => !state.credits.some((own) => own.date === c.date && own.bank === c.bank && Number(own.hours) === Number(c.hours))),
+    recurring: data.recurring.filter((r) => !state.recurring.some((own) => own.id === r.id)),
+  };
 }
 
 /* =========================
  * Rendering helpers
  * ========================= */
 
+// Bank whose settings and accrual rules are being edited on the Overview tab
+let settingsBankId = null;
+
+// Fill the bank pickers, keeping each one's current selection when possible
+function renderBankOptions() {
+  const options = state.banks.map((b) => `<option value="${escapeAttr(b.id)}">${b.name.replace(/</g, '&lt;')}</option>`).join('');
+  for (const id of ['settingsBank', 'ptoBank', 'creditBank', 'forecastBank', 'ledgerBank', 'icsBank', 'scenarioPtoBank', 'scenarioCreditBank', 'scenarioSettingBank', 'recurringBank']) {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = id === 'forecastBank' ? `${options}<option value="all">All banks</option>` : options;
+    if ([...select.options].some((o) => o.value === current)) select.value = current;
+  }
+  settingsBankId = getBank(settingsBankId).id;
+  document.getElementById('settingsBank').value = settingsBankId;
+}
+
 function renderSettings() {
+  const bank = getBank(settingsBankId);
   document.getElementById('startDate').value = state.startDate;
-  document.getElementById('startBalance').value = state.startBalance;
-  document.getElementById('accrualPerPeriod').value = state.accrualPerPeriod;
-  document.getElementById('firstPayday').value = state.firstPayday;
-  document.getElementById('payFrequencyDays').value = state.payFrequencyDays;
+  document.getElementById('startBalance').value = bank.startBalance;
+  document.getElementById('accrualPerPeriod').value = bank.accrualPerPeriod;
+  document.getElementById('firstPayday').value = bank.firstPayday;
+  document.getElementById('payFrequencyDays').value = bank.payFrequencyDays;
+  document.getElementById('payScheduleType').value = bank.payScheduleType in PAY_SCHEDULE_TYPES ? bank.payScheduleType : 'interval';
+  document.getElementById('payDayOfMonth').value = bank.payDayOfMonth || '';
+  document.getElementById('balanceCap').value = policyLimit(bank.balanceCap) ?? '';
+  document.getElementById('carryoverLimit').value = policyLimit(bank.carryoverLimit) ?? '';
+  document.getElementById('balanceFloor').value = Number(bank.balanceFloor) || 0;
+  document.getElementById('resetDate').value = bank.resetDate || '01-01';
+  document.getElementById('ruleBankLabel').textContent = bank.name;
+  togglePayScheduleFields('payScheduleType', 'payFrequencyWrap', 'payDayOfMonthWrap');
+}
+
+// Show only the schedule inputs that apply to the selected pay schedule type
+function togglePayScheduleFields(selectId, frequencyWrapId, dayOfMonthWrapId) {
+  const type = document.getElementById(selectId).value;
+  document.getElementById(frequencyWrapId).classList.toggle('hidden', type !== 'interval');
+  document.getElementById(dayOfMonthWrapId).classList.toggle('hidden', type !== 'monthly');
+}
+
+// Describe a pay schedule, e.g. "Every 14 days" or "Monthly on day 25"
+function describePaySchedule(rule) {
+  if (rule.type === 'semimonthly') return PAY_SCHEDULE_TYPES.semimonthly;
+  if (rule.type === 'monthly') return `Monthly on day ${rule.dayOfMonth || toDateOnlyUTC(rule.effective).getUTCDate()}`;
+  return `Every ${Number(rule.frequencyDays) || 14} days`;
+}
+
+function renderAccrualRules() {
+  const bank = getBank(settingsBankId);
+  const tbody = document.getElementById('accrualRuleTable');
+  tbody.innerHTML = '';
+  bank.accrualRules
+    .sort((a, b) => toDateOnlyUTC(a.effective) - toDateOnlyUTC(b.effective))
+    .forEach((r, idx) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t';
+      tr.innerHTML = `
+        <td class="py-2">${r.effective}</td>
+        <td class="py-2">${fmt(Number(r.rate) || 0)}</td>
+        <td class="py-2">${describePaySchedule(r)}</td>
+        <td class="py-2">${r.note ? r.note.replace(/</g, '&lt;') : ''}</td>
+        <td class="py-2">
+          <button data-idx="${idx}" class="deleteAccrualRule text-red-600 hover:underline">Delete</button>
+        </td>
+      `;
+      tbody.appendChild(tr);
+    });
+  [...tbody.querySelectorAll('.deleteAccrualRule')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      const i = Number(ev.currentTarget.getAttribute('data-idx'));
+      bank.accrualRules.splice(i, 1);
+      saveState();
+      renderAll();
+    });
+  });
+}
+
+function renderSnapshots() {
+  const bank = getBank(settingsBankId);
+  document.getElementById('snapshotBankLabel').textContent = bank.name;
+  const drift = new Map(snapshotDrift(bank.id).map((d) => [d.date, d]));
+  const tbody = document.getElementById('snapshotTable');
+  tbody.innerHTML = '';
+  bank.snapshots
+    .sort((a, b) => toDateOnlyUTC(a.date) - toDateOnlyUTC(b.date))
+    .forEach((snap, idx) => {
+      const d = drift.get(snap.date);
+      const tr = document.createElement('tr');
+      tr.className = 'border-t';
+      tr.innerHTML = `
+        <td class="py-2">${snap.date}</td>
+        <td class="py-2">${fmt(Number(snap.balance) || 0)}</td>
+        <td class="py-2">${d ? fmt(d.computed) : '<span class="text-gray-500">Before start date</span>'}</td>
+        <td class="py-2 ${d && Math.abs(d.drift) >= 0.005 ? (d.drift < 0 ? 'text-red-700' : 'text-emerald-700') : ''}">
+          ${d ? `${d.drift > 0 ? '+' : ''}${fmt(d.drift)}` : ''}
+        </td>
+        <td class="py-2">${snap.note ? snap.note.replace(/</g, '&lt;') : ''}</td>
+        <td class="py-2">
+          <button data-idx="${idx}" class="deleteSnapshot text-red-600 hover:underline">Delete</button>
+        </td>
+      `;
+      tbody.appendChild(tr);
+    });
+  [...tbody.querySelectorAll('.deleteSnapshot')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      const i = Number(ev.currentTarget.getAttribute('data-idx'));
+      bank.snapshots.splice(i, 1);
+      saveState();
+      renderAll();
+    });
+  });
 }
 
 function renderDashboard() {
   const today = clampDate(new Date());
   document.getElementById('todayLabel').textContent = ymd(today);
-  document.getElementById('balanceToday').textContent = fmt(getBalanceOn(ymd(today)));
-  const latest = latestPTODate();
-  document.getElementById('balanceAfterLatest').textContent = fmt(getBalanceOn(ymd(latest || today)));
-  document.getElementById('totalFuturePTO').textContent = fmt(totalFuturePTO(ymd(today)));
-  const next = nextPaydayOnOrAfter(today, toDateOnlyUTC(state.firstPayday), state.payFrequencyDays);
-  document.getElementById('nextPayday').textContent = ymd(next);
+  const cards = document.getElementById('bankCards');
+  cards.innerHTML = '';
+  for (const bank of state.banks) {
+    const latest = latestPTODate(bank.id);
+    const next = nextPayday(today, accrualRules(bank));
+    const reset = nextResetAfter(today, bank);
+    const atReset = totalBalanceLosses(reset, reset, bank.id);
+    const yearLosses = totalBalanceLosses(today, addDays(today, 365), bank.id);
+    const check = balanceCheck(bank.id, today, addDays(today, FORECAST_DAYS));
+    const rows = [
+      ['Balance after latest planned PTO', fmt(getBalanceOn(ymd(latest || today), bank.id))],
+      ['Total planned PTO (future)', fmt(totalFuturePTO(ymd(today), bank.id))],
+      ['Next accrual (live)', next ? ymd(next) : '—'],
+      [`Lowest balance (${check.lowest.date})`, fmt(check.lowest.balance), check.below.length ? 'text-red-600' : ''],
+    ];
+    if (policyLimit(bank.carryoverLimit) !== null) rows.push([`Forfeited at next reset (${ymd(reset)})`, fmt(atReset.forfeit), 'text-red-600']);
+    if (policyLimit(bank.balanceCap) !== null) rows.push(['Accrual lost at cap (next 12 months)', fmt(yearLosses.capLost), 'text-amber-600']);
+    const card = document.createElement('div');
+    card.className = 'bg-white shadow rounded-2xl p-4';
+    card.innerHTML = `
+      <div class="flex items-center gap-2 text-sm text-gray-500">
+        <span class="inline-block w-2.5 h-2.5 rounded-full" style="background:${bankColor(bank)}"></span>
+        ${bank.name.replace(/</g, '&lt;')}
+      </div>
+      <div class="text-2xl font-semibold mt-1">${fmt(getBalanceOn(ymd(today), bank.id))}</div>
+      <dl class="mt-2 text-sm space-y-1">
+        ${rows.map(([label, value, cls]) => `<div class="flex justify-between gap-2"><dt class="text-gray-500">${label}</dt><dd class="font-medium ${cls || ''}">${value}</dd></div>`).join('')}
+      </dl>
+    `;
+    cards.appendChild(card);
+  }
+}
+
+// Options for a bank picker with the given bank selected
+function bankOptionsHtml(selectedId) {
+  return state.banks
+    .map((b) => `<option value="${escapeAttr(b.id)}" ${b.id === selectedId ? 'selected' : ''}>${b.name.replace(/</g, '&lt;')}</option>`)
+    .join('');
+}
+
+// Wire Enter (save) and Escape (cancel) on the inputs of a row being edited
+function wireRowEditKeys(tr) {
+  for (const input of tr.querySelectorAll('input, select')) {
+    input.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Enter') tr.querySelector('.saveEdit').click();
+      if (ev.key === 'Escape') tr.querySelector('.cancelEdit').click();
+    });
+  }
 }
 
+// Read an edited PTO row back into a range. Day-by-day hours are kept for the
+// days still in the range; a fixed total replaces them.
+function readPTORow(tr, original) {
+  const from = tr.querySelector('.editFrom').value;
+  const to = tr.querySelector('.editTo').value;
+  const total = tr.querySelector('.editTotal').value.trim();
+  const range = { from, to, bank: tr.querySelector('.editBank').value, note: tr.querySelector('.editNote').value.trim() };
+  if (total !== '') {
+    range.totalHours = Number(total);
+  } else if (original.dayHours) {
+    const dayHours = {};
+    for (const [date, hours] of Object.entries(original.dayHours)) if (date >= from && date <= to) dayHours[date] = hours;
+    if (Object.keys(dayHours).length) range.dayHours = dayHours;
+  }
+  return range;
+}
+
+// Index of the PTO range and credit being edited in place, if any
+let editingPTO = null;
+let editingCredit = null;
+
 function renderPTOTable() {
   const tbody = document.getElementById('ptoTable');
   tbody.innerHTML = '';
@@ -250,21 +1071,66 @@ function renderPTOTable() {
     .forEach((r, idx) => {
       const tr = document.createElement('tr');
       tr.className = 'border-t';
-      tr.innerHTML = `
-        <td class="py-2">${r.from}</td>
-        <td class="py-2">${r.to}</td>
-        <td class="py-2">${fmt(Math.max(0, Number(r.hours) || 0))}</td>
-        <td class="py-2">${r.note ? r.note.replace(/</g, '&lt;') : ''}</td>
-        <td class="py-2">
-          <button data-idx="${idx}" class="deletePTO text-red-600 hover:underline">Delete</button>
-        </td>
-      `;
+      if (idx === editingPTO) {
+        tr.innerHTML = `
+          <td class="py-2 pr-2"><input type="date" value="${escapeAttr(r.from)}" class="editFrom w-full rounded-lg border border-gray-300 p-1" /></td>
+          <td class="py-2 pr-2"><input type="date" value="${escapeAttr(r.to)}" class="editTo w-full rounded-lg border border-gray-300 p-1" /></td>
+          <td class="py-2 pr-2"><select class="editBank w-full rounded-lg border border-gray-300 p-1 bg-white">${bankOptionsHtml(r.bank)}</select></td>
+          <td class="py-2 pr-2">
+            <input type="number" step="0.25" min="0" value="${r.totalHours != null ? escapeAttr(r.totalHours) : ''}" placeholder="${r.dayHours ? 'By day' : 'Scheduled'}" title="Leave blank to charge the scheduled hours of each day" class="editTotal w-24 rounded-lg border border-gray-300 p-1" />
+          </td>
+          <td class="py-2 pr-2"><input type="text" class="editNote w-full rounded-lg border border-gray-300 p-1" /></td>
+          <td class="py-2 whitespace-nowrap">
+            <button class="saveEdit text-blue-700 hover:underline">Save</button>
+            <button class="cancelEdit ml-2 text-gray-600 hover:underline">Cancel</button>
+          </td>
+        `;
+        tr.querySelector('.editNote').value = r.note || '';
+        tr.querySelector('.saveEdit').addEventListener('click', () => {
+          const range = readPTORow(tr, r);
+          const error = ptoRangeError(range);
+          if (error) return alert(error);
+          range.hours = ptoRangeHours(range);
+          state.ptoRanges[idx] = range;
+          editingPTO = null;
+          saveState();
+          renderAll();
+        });
+        tr.querySelector('.cancelEdit').addEventListener('click', () => {
+          editingPTO = null;
+          renderPTOTable();
+        });
+        wireRowEditKeys(tr);
+      } else {
+        tr.innerHTML = `
+          <td class="py-2">${r.from}</td>
+          <td class="py-2">${r.to}</td>
+          <td class="py-2">${getBank(r.bank).name.replace(/</g, '&lt;')}</td>
+          <td class="py-2">
+            ${fmt(ptoRangeHours(r))}
+            ${r.dayHours || r.totalHours != null ? '<span class="text-xs text-gray-500">(custom)</span>' : ''}
+          </td>
+          <td class="py-2">${r.note ? r.note.replace(/</g, '&lt;') : ''}</td>
+          <td class="py-2 whitespace-nowrap">
+            <button data-idx="${idx}" class="editPTO text-blue-700 hover:underline">Edit</button>
+            <button data-idx="${idx}" class="deletePTO ml-2 text-red-600 hover:underline">Delete</button>
+          </td>
+        `;
+      }
       tbody.appendChild(tr);
     });
+  [...tbody.querySelectorAll('.editPTO')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      editingPTO = Number(ev.currentTarget.getAttribute('data-idx'));
+      renderPTOTable();
+      tbody.querySelector('.editFrom').focus();
+    });
+  });
   [...tbody.querySelectorAll('.deletePTO')].forEach((btn) => {
     btn.addEventListener('click', (ev) => {
       const i = Number(ev.currentTarget.getAttribute('data-idx'));
       state.ptoRanges.splice(i, 1);
+      editingPTO = null;
       saveState();
       renderAll();
     });
@@ -277,122 +1143,789 @@ function renderCreditsTable() {
   state.credits
     .sort((a, b) => toDateOnlyUTC(a.date) - toDateOnlyUTC(b.date))
     .forEach((c, idx) => {
+      const tr = document.createElement('tr');
+      tr.className = 'border-t';
+      if (idx === editingCredit) {
+        tr.innerHTML = `
+          <td class="py-2 pr-2"><input type="date" value="${escapeAttr(c.date)}" class="editDate w-full rounded-lg border border-gray-300 p-1" /></td>
+          <td class="py-2 pr-2"><select class="editBank w-full rounded-lg border border-gray-300 p-1 bg-white">${bankOptionsHtml(c.bank)}</select></td>
+          <td class="py-2 pr-2"><input type="number" step="0.25" min="0" value="${escapeAttr(c.hours)}" class="editHours w-24 rounded-lg border border-gray-300 p-1" /></td>
+          <td class="py-2 pr-2"><input type="text" class="editNote w-full rounded-lg border border-gray-300 p-1" /></td>
+          <td class="py-2 whitespace-nowrap">
+            <button class="saveEdit text-blue-700 hover:underline">Save</button>
+            <button class="cancelEdit ml-2 text-gray-600 hover:underline">Cancel</button>
+          </td>
+        `;
+        tr.querySelector('.editNote').value = c.note || '';
+        tr.querySelector('.saveEdit').addEventListener('click', () => {
+          const date = tr.querySelector('.editDate').value;
+          const hours = Number(tr.querySelector('.editHours').value);
+          if (!date || !isFinite(hours) || hours <= 0) return alert('Enter a valid date and positive hours.');
+          state.credits[idx] = { date, hours, bank: tr.querySelector('.editBank').value, note: tr.querySelector('.editNote').value.trim() };
+          editingCredit = null;
+          saveState();
+          renderAll();
+        });
+        tr.querySelector('.cancelEdit').addEventListener('click', () => {
+          editingCredit = null;
+          renderCreditsTable();
+        });
+        wireRowEditKeys(tr);
+      } else {
+        tr.innerHTML = `
+          <td class="py-2">${c.date}</td>
+          <td class="py-2">${getBank(c.bank).name.replace(/</g, '&lt;')}</td>
+          <td class="py-2">${fmt(Math.max(0, Number(c.hours) || 0))}</td>
+          <td class="py-2">${c.note ? c.note.replace(/</g, '&lt;') : ''}</td>
+          <td class="py-2 whitespace-nowrap">
+            <button data-idx="${idx}" class="editCredit text-blue-700 hover:underline">Edit</button>
+            <button data-idx="${idx}" class="deleteCredit ml-2 text-red-600 hover:underline">Delete</button>
+          </td>
+        `;
+      }
+      tbody.appendChild(tr);
+    });
+  [...tbody.querySelectorAll('.editCredit')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      editingCredit = Number(ev.currentTarget.getAttribute('data-idx'));
+      renderCreditsTable();
+      tbody.querySelector('.editDate').focus();
+    });
+  });
+  [...tbody.querySelectorAll('.deleteCredit')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      const i = Number(ev.currentTarget.getAttribute('data-idx'));
+      state.credits.splice(i, 1);
+      editingCredit = null;
+      saveState();
+      renderAll();
+    });
+  });
+}
+
+// Recurring rule whose occurrences are listed, and the occurrence being edited
+let openRecurringId = null;
+let editingOccurrence = null;
+
+// Problem with a recurring rule read from the form, or null when it is valid
+function recurringRuleError(rule) {
+  if (!rule.start) return 'Enter the first date.';
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) return 'Repeat every 1 or more weeks, months or years.';
+  if (rule.until !== undefined && (!rule.until || rule.until < rule.start)) return 'Enter a last date on or after the first date.';
+  if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) return 'Enter how many times it repeats.';
+  if (rule.kind === 'credit' && !(rule.hours > 0)) return 'Enter the positive hours credited each time.';
+  if (rule.hours !== null && (!isFinite(rule.hours) || rule.hours < 0)) return 'Enter zero or more hours each time.';
+  return null;
+}
+
+function renderRecurring() {
+  const tbody = document.getElementById('recurringTable');
+  const today = ymd(clampDate(new Date()));
+  const through = recurrenceHorizon();
+  tbody.innerHTML = state.recurring
+    .map((rule) => {
+      const next = recurringOccurrences(rule, through).find((o) => !o.skipped && o.date >= today);
+      const hours = rule.hours === null || rule.hours === undefined ? 'Scheduled' : fmt(Number(rule.hours));
+      return `
+        <tr class="border-t">
+          <td class="py-2">${describeRecurrence(rule)}</td>
+          <td class="py-2">${rule.kind === 'credit' ? 'Credit' : 'PTO'}</td>
+          <td class="py-2">${getBank(rule.bank).name.replace(/</g, '&lt;')}</td>
+          <td class="py-2">${hours}</td>
+          <td class="py-2">${next ? next.date : '—'}</td>
+          <td class="py-2">${rule.note ? rule.note.replace(/</g, '&lt;') : ''}</td>
+          <td class="py-2 whitespace-nowrap">
+            <button data-id="${escapeAttr(rule.id)}" class="showOccurrences text-blue-700 hover:underline">Occurrences</button>
+            <button data-id="${escapeAttr(rule.id)}" class="deleteRecurring ml-2 text-red-600 hover:underline">Delete</button>
+          </td>
+        </tr>`;
+    })
+    .join('');
+  for (const btn of tbody.querySelectorAll('.showOccurrences')) {
+    btn.addEventListener('click', () => {
+      openRecurringId = btn.dataset.id;
+      editingOccurrence = null;
+      renderOccurrences();
+    });
+  }
+  for (const btn of tbody.querySelectorAll('.deleteRecurring')) {
+    btn.addEventListener('click', () => {
+      const rule = state.recurring.find((r) => r.id === btn.dataset.id);
+      if (!confirm(`Delete "${describeRecurrence(rule)}" and all of its occurrences?`)) return;
+      state.recurring = state.recurring.filter((r) => r !== rule);
+      if (openRecurringId === rule.id) openRecurringId = null;
+      saveState();
+      renderAll();
+    });
+  }
+  renderOccurrences();
+}
+
+// List the occurrences of the open rule. Changing or skipping one records an
+// exception on the rule, so the rest of the series is untouched.
+function renderOccurrences() {
+  const rule = state.recurring.find((r) => r.id === openRecurringId);
+  document.getElementById('occurrencePanel').classList.toggle('hidden', !rule);
+  if (!rule) return;
+  document.getElementById('occurrenceTitle').textContent = describeRecurrence(rule);
+  const tbody = document.getElementById('occurrenceTable');
+  tbody.innerHTML = '';
+  const hoursText = (hours) => (hours === null ? 'Scheduled' : fmt(Number(hours)));
+  for (const o of recurringOccurrences(rule, recurrenceHorizon())) {
+    const tr = document.createElement('tr');
+    tr.className = `border-t ${o.skipped ? 'text-gray-400' : ''}`;
+    if (o.occurrence === editingOccurrence) {
+      tr.innerHTML = `
+        <td class="py-2 pr-2"><input type="date" value="${escapeAttr(o.date)}" class="editDate w-full rounded-lg border border-gray-300 p-1" /></td>
+        <td class="py-2 pr-2"><input type="number" step="0.25" min="0" value="${escapeAttr(o.hours ?? '')}" placeholder="Scheduled" class="editHours w-24 rounded-lg border border-gray-300 p-1" /></td>
+        <td class="py-2 pr-2"><input type="text" class="editNote w-full rounded-lg border border-gray-300 p-1" /></td>
+        <td class="py-2"></td>
+        <td class="py-2 whitespace-nowrap">
+          <button class="saveEdit text-blue-700 hover:underline">Save</button>
+          <button class="cancelEdit ml-2 text-gray-600 hover:underline">Cancel</button>
+        </td>
+      `;
+      tr.querySelector('.editNote').value = o.note;
+      tr.querySelector('.saveEdit').addEventListener('click', () => {
+        const date = tr.querySelector('.editDate').value;
+        const hoursValue = tr.querySelector('.editHours').value;
+        const hours = hoursValue === '' ? null : Number(hoursValue);
+        if (!date) return alert('Enter a date.');
+        if (rule.kind === 'credit' ? !(hours > 0) : hours !== null && (!isFinite(hours) || hours < 0)) {
+          return alert(rule.kind === 'credit' ? 'Enter positive hours.' : 'Enter zero or more hours, or leave blank for the scheduled hours.');
+        }
+        const change = {};
+        if (date !== o.occurrence) change.date = date;
+        if (hours !== (rule.hours ?? null)) change.hours = hours;
+        const note = tr.querySelector('.editNote').value.trim();
+        if (note !== (rule.note || '')) change.note = note;
+        if (Object.keys(change).length) rule.exceptions[o.occurrence] = change;
+        else delete rule.exceptions[o.occurrence];
+        editingOccurrence = null;
+        saveState();
+        renderAll();
+      });
+      tr.querySelector('.cancelEdit').addEventListener('click', () => {
+        editingOccurrence = null;
+        renderOccurrences();
+      });
+      wireRowEditKeys(tr);
+    } else {
+      const status = o.skipped ? 'Skipped' : o.changed ? `Changed${o.date !== o.occurrence ? ` (was ${o.occurrence})` : ''}` : '';
+      tr.innerHTML = `
+        <td class="py-2">${o.date}</td>
+        <td class="py-2">${hoursText(o.hours)}</td>
+        <td class="py-2">${o.note.replace(/</g, '&lt;')}</td>
+        <td class="py-2">${status}</td>
+        <td class="py-2 whitespace-nowrap">
+          ${o.skipped ? '' : '<button class="editOccurrence text-blue-700 hover:underline">Edit</button>'}
+          ${o.skipped ? '' : '<button class="skipOccurrence ml-2 text-red-600 hover:underline">Skip</button>'}
+          ${o.skipped || o.changed ? '<button class="restoreOccurrence ml-2 text-gray-600 hover:underline">Restore</button>' : ''}
+        </td>
+      `;
+      const on = (cls, fn) => tr.querySelector(cls) && tr.querySelector(cls).addEventListener('click', fn);
+      on('.editOccurrence', () => {
+        editingOccurrence = o.occurrence;
+        renderOccurrences();
+        tbody.querySelector('.editDate').focus();
+      });
+      on('.skipOccurrence', () => {
+        rule.exceptions[o.occurrence] = { skip: true };
+        saveState();
+        renderAll();
+      });
+      on('.restoreOccurrence', () => {
+        delete rule.exceptions[o.occurrence];
+        saveState();
+        renderAll();
+      });
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function renderHolidays() {
+  const list = document.getElementById('federalHolidayList');
+  list.innerHTML = '';
+  for (const rule of FEDERAL_HOLIDAY_RULES) {
+    const label = document.createElement('label');
+    label.className = 'flex items-center gap-2 text-sm';
+    label.innerHTML = `
+      <input type="checkbox" class="federalHoliday" data-id="${escapeAttr(rule.id)}" ${state.holidays.federal.includes(rule.id) ? 'checked' : ''} />
+      <span>${rule.name}</span>
+    `;
+    list.appendChild(label);
+  }
+  [...list.querySelectorAll('.federalHoliday')].forEach((box) => {
+    box.addEventListener('change', (ev) => {
+      const id = ev.currentTarget.getAttribute('data-id');
+      const enabled = state.holidays.federal.filter((x) => x !== id);
+      if (ev.currentTarget.checked) enabled.push(id);
+      state.holidays.federal = enabled;
+      saveState();
+      renderAll();
+    });
+  });
+
+  const tbody = document.getElementById('holidayTable');
+  tbody.innerHTML = '';
+  state.holidays.custom
+    .sort((a, b) => toDateOnlyUTC(a.date) - toDateOnlyUTC(b.date))
+    .forEach((h, idx) => {
       const tr = document.createElement('tr');
       tr.className = 'border-t';
       tr.innerHTML = `
-        <td class="py-2">${c.date}</td>
-        <td class="py-2">${fmt(Math.max(0, Number(c.hours) || 0))}</td>
-        <td class="py-2">${c.note ? c.note.replace(/</g, '&lt;') : ''}</td>
+        <td class="py-2">${h.date}</td>
+        <td class="py-2">${h.name ? h.name.replace(/</g, '&lt;') : ''}</td>
+        <td class="py-2">${h.yearly ? 'Every year' : 'Once'}</td>
         <td class="py-2">
-          <button data-idx="${idx}" class="deleteCredit text-red-600 hover:underline">Delete</button>
+          <button data-idx="${idx}" class="deleteHoliday text-red-600 hover:underline">Delete</button>
         </td>
       `;
       tbody.appendChild(tr);
     });
-  [...tbody.querySelectorAll('.deleteCredit')].forEach((btn) => {
+  [...tbody.querySelectorAll('.deleteHoliday')].forEach((btn) => {
     btn.addEventListener('click', (ev) => {
       const i = Number(ev.currentTarget.getAttribute('data-idx'));
-      state.credits.splice(i, 1);
+      state.holidays.custom.splice(i, 1);
       saveState();
       renderAll();
     });
   });
+
+  // Upcoming observed holidays for the next year
+  const today = clampDate(new Date());
+  const upcoming = holidaysBetween(today, addDays(today, 365));
+  document.getElementById('upcomingHolidays').innerHTML = upcoming.length
+    ? upcoming.map((h) => `<li>${h.date} — ${h.name.replace(/</g, '&lt;')}</li>`).join('')
+    : '<li>No holidays in the next 12 months.</li>';
+}
+
+// Fill the weekday hour inputs of one schedule week (A or B)
+function setScheduleWeekInputs(prefix, week) {
+  WEEKDAY_NAMES.forEach((_, i) => {
+    document.getElementById(`${prefix}${i}`).value = week ? week[i] : 0;
+  });
+}
+
+// Read the weekday hour inputs of one schedule week (A or B)
+function readScheduleWeekInputs(prefix) {
+  return WEEKDAY_NAMES.map((_, i) => Number(document.getElementById(`${prefix}${i}`).value) || 0);
+}
+
+function renderSchedules() {
+  const tbody = document.getElementById('scheduleTable');
+  tbody.innerHTML = '';
+  const current = scheduleOn(new Date());
+  state.workSchedules
+    .sort((a, b) => toDateOnlyUTC(a.effective) - toDateOnlyUTC(b.effective))
+    .forEach((s, idx) => {
+      const weekly = s.weekB
+        ? (s.weekA.reduce((a, b) => a + b, 0) + s.weekB.reduce((a, b) => a + b, 0)) / 2
+        : s.weekA.reduce((a, b) => a + b, 0);
+      const tr = document.createElement('tr');
+      tr.className = 'border-t';
+      tr.innerHTML = `
+        <td class="py-2">${s.effective}${current && current.effective === s.effective ? ' <span class="text-xs text-emerald-700">(current)</span>' : ''}</td>
+        <td class="py-2">${describeWeek(s.weekA)}</td>
+        <td class="py-2">${s.weekB ? describeWeek(s.weekB) : '—'}</td>
+        <td class="py-2">${fmt(weekly)}</td>
+        <td class="py-2">
+          <button data-idx="${idx}" class="deleteSchedule text-red-600 hover:underline">Delete</button>
+        </td>
+      `;
+      tbody.appendChild(tr);
+    });
+  [...tbody.querySelectorAll('.deleteSchedule')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      const i = Number(ev.currentTarget.getAttribute('data-idx'));
+      state.workSchedules.splice(i, 1);
+      saveState();
+      renderAll();
+    });
+  });
+}
+
+function renderProfiles() {
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = profiles.profiles
+    .map((p) => `<option value="${escapeAttr(p.id)}">${p.name.replace(/</g, '&lt;')}</option>`)
+    .join('');
+  select.value = profiles.activeId;
+}
+
+// Scenario open in the scenario editor, if any
+let editingScenarioId = null;
+
+// List scenarios with their forecast toggles, and fill the editor for the
+// scenario being edited
+function renderScenarios() {
+  const list = document.getElementById('scenarioList');
+  if (!state.scenarios.length) list.innerHTML = '<li class="text-gray-500">No scenarios yet.</li>';
+  else {
+    list.innerHTML = state.scenarios
+      .map((sc, i) => `
+        <li class="flex items-center gap-3">
+          <input type="checkbox" class="toggleScenario" data-id="${escapeAttr(sc.id)}" ${sc.visible ? 'checked' : ''} aria-label="Show ${escapeAttr(sc.name)} on the forecast" />
+          <span class="inline-block w-2.5 h-2.5 rounded-full" style="background:${SCENARIO_COLORS[i % SCENARIO_COLORS.length]}"></span>
+          <span class="font-medium">${sc.name.replace(/</g, '&lt;')}</span>
+          <span class="text-gray-500">${scenarioChanges(sc).length} change(s)</span>
+          <button data-id="${escapeAttr(sc.id)}" class="editScenario text-blue-700 hover:underline">${sc.id === editingScenarioId ? 'Editing' : 'Edit'}</button>
+        </li>`)
+      .join('');
+  }
+  [...list.querySelectorAll('.toggleScenario')].forEach((box) => {
+    box.addEventListener('change', (ev) => {
+      state.scenarios.find((sc) => sc.id === ev.target.getAttribute('data-id')).visible = ev.target.checked;
+      saveState();
+      renderScenarios();
+      refreshForecastIfVisible();
+    });
+  });
+  [...list.querySelectorAll('.editScenario')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      const id = ev.currentTarget.getAttribute('data-id');
+      editingScenarioId = editingScenarioId === id ? null : id;
+      renderScenarios();
+    });
+  });
+
+  const scenario = state.scenarios.find((sc) => sc.id === editingScenarioId);
+  document.getElementById('scenarioEditor').classList.toggle('hidden', !scenario);
+  if (!scenario) {
+    editingScenarioId = null;
+    return;
+  }
+  document.getElementById('scenarioEditName').textContent = scenario.name;
+  const changes = document.getElementById('scenarioChangeList');
+  const items = scenarioChanges(scenario);
+  changes.innerHTML = items.length
+    ? items
+        .map((c, i) => `
+          <li class="flex items-center gap-3">
+            <span>${c.text.replace(/</g, '&lt;')}</span>
+            <button data-idx="${i}" class="removeScenarioChange text-red-600 hover:underline">Remove</button>
+          </li>`)
+        .join('')
+    : '<li class="text-gray-500">No changes yet; this scenario matches the plan.</li>';
+  [...changes.querySelectorAll('.removeScenarioChange')].forEach((btn) => {
+    btn.addEventListener('click', (ev) => {
+      const change = items[Number(ev.currentTarget.getAttribute('data-idx'))];
+      if (change.kind === 'pto') scenario.ptoRanges.splice(change.index, 1);
+      else if (change.kind === 'credit') scenario.credits.splice(change.index, 1);
+      else {
+        delete scenario.bankChanges[change.bankId][change.field];
+        if (!Object.keys(scenario.bankChanges[change.bankId]).length) delete scenario.bankChanges[change.bankId];
+      }
+      saveState();
+      renderScenarios();
+      refreshForecastIfVisible();
+    });
+  });
+}
+
+// Ledger entry types with their labels, in filter order
+const LEDGER_TYPES = {
+  accrual: 'Accrual',
+  pto: 'PTO',
+  credit: 'Credit',
+  reset: 'Forfeited at reset',
+  snapshot: 'Adjustment to reported balance',
+};
+
+// Ledger rows for the bank, dates and types picked in the ledger filters:
+// an opening balance followed by each matching entry as { date, type,
+// description, hours, balance }
+function ledgerRows() {
+  const bank = getBank(document.getElementById('ledgerBank').value);
+  const from = document.getElementById('ledgerFrom').value || state.startDate;
+  const to = document.getElementById('ledgerTo').value || ymd(clampDate(new Date()));
+  const types = [...document.querySelectorAll('.ledgerType:checked')].map((box) => box.value);
+  const ledger = ledgerFor(bank.id, to);
+  const openingDate = from > ledger.startKey ? ymd(addDays(toDateOnlyUTC(from), -1)) : ledger.startKey;
+  const rows = [{
+    date: openingDate,
+    type: 'opening',
+    description: openingDate === ledger.startKey ? 'Starting balance' : 'Opening balance',
+    hours: null,
+    balance: ledgerBalanceOn(ledger, openingDate),
+  }];
+  for (const e of ledger.entries) {
+    if (e.date < from || e.date > to || !types.includes(e.type)) continue;
+    let description = LEDGER_TYPES[e.type];
+    if (e.note) description += ` — ${e.note}`;
+    if (e.capLost) description += ` (${fmt(e.capLost)} lost at the cap)`;
+    if (e.type === 'snapshot') description += ` (computed ${fmt(e.computed)})`;
+    rows.push({ date: e.date, type: e.type, description, hours: e.hours, balance: e.balance });
+  }
+  return rows;
+}
+
+function renderLedger() {
+  const rows = ledgerRows();
+  const tbody = document.getElementById('ledgerTable');
+  tbody.innerHTML = rows
+    .map((r) => `
+      <tr class="border-t ${r.type === 'opening' ? 'font-medium' : ''}">
+        <td class="py-2">${r.date}</td>
+        <td class="py-2">${r.description.replace(/</g, '&lt;')}</td>
+        <td class="py-2 text-right ${r.hours < 0 ? 'text-red-700' : ''}">${r.hours === null ? '' : `${r.hours > 0 ? '+' : ''}${r.hours.toFixed(2)}`}</td>
+        <td class="py-2 text-right">${r.balance.toFixed(2)}</td>
+      </tr>`)
+    .join('');
+  const changes = rows.slice(1);
+  const net = changes.reduce((sum, r) => sum + r.hours, 0);
+  document.getElementById('ledgerSummary').textContent = `${changes.length} entr${changes.length === 1 ? 'y' : 'ies'} · net ${net > 0 ? '+' : ''}${fmt(net)}`;
+}
+
+// Download the filtered ledger as CSV
+function exportLedgerCsv() {
+  const lines = ['date,type,description,hours,balance'];
+  for (const r of ledgerRows()) {
+    lines.push([r.date, r.type, csvField(r.description), r.hours === null ? '' : r.hours.toFixed(2), r.balance.toFixed(2)].join(','));
+  }
+  downloadFile(`vacation_ledger_${document.getElementById('ledgerBank').value}.csv`, lines.join('\n'), 'text/csv');
+}
+
+// Show when the active profile was last saved, or why its changes are not
+function renderSaveStatus() {
+  const status = document.getElementById('saveStatus');
+  const at = savedAt(profiles.activeId);
+  status.classList.toggle('text-red-600', !!saveError);
+  status.classList.toggle('text-gray-500', !saveError);
+  status.title = at && !saveError ? at.toLocaleString() : '';
+  if (sharedPlan && sharedPlan.viewing) status.textContent = 'Viewing a shared plan. Changes are not saved.';
+  else if (saveError) status.textContent = `Your latest changes could not be saved in this browser: ${saveError.message}`;
+  else if (!at) status.textContent = 'Not saved yet';
+  else {
+    const time = at.toDateString() === new Date().toDateString() ? at.toLocaleTimeString() : at.toLocaleString();
+    status.textContent = `Last saved ${time}${savedFrom ? ` ${savedFrom}` : ''}${remotePlans && syncStatus.error ? ' (not synced)' : ''}`;
+  }
+}
+
+// Show the sync server settings and how the last sync went
+function renderSync() {
+  const input = document.getElementById('syncUrl');
+  document.getElementById('syncOrigin').textContent = location.origin;
+  if (remotePlans) input.value = remotePlans.url;
+  input.disabled = !!remotePlans;
+  document.getElementById('syncConnect').classList.toggle('hidden', !!remotePlans);
+  document.getElementById('syncNow').classList.toggle('hidden', !remotePlans);
+  document.getElementById('syncDisconnect').classList.toggle('hidden', !remotePlans);
+  document.getElementById('syncNow').disabled = syncStatus.busy;
+  const status = document.getElementById('syncStatus');
+  status.classList.toggle('text-red-600', !!(remotePlans && syncStatus.error));
+  if (!remotePlans) status.textContent = 'Plans are kept in this browser only.';
+  else if (syncStatus.busy) status.textContent = 'Syncing…';
+  else if (syncStatus.error) status.textContent = `The last sync failed: ${syncStatus.error}. Changes stay in this browser and are sent on the next sync.`;
+  else if (syncStatus.at) status.textContent = `Every profile is synced with the server, last at ${syncStatus.at.toLocaleTimeString()}.`;
+  else status.textContent = 'Not synced yet.';
+}
+
+// Enable the undo and redo buttons when the active profile has history to step through
+function renderHistoryButtons() {
+  const history = historyFor(profiles.activeId);
+  const viewing = !!(sharedPlan && sharedPlan.viewing);
+  document.getElementById('undoBtn').disabled = viewing || !history.undo.length;
+  document.getElementById('redoBtn').disabled = viewing || !history.redo.length;
 }
 
 function renderAll() {
+  renderProfiles();
+  renderHistoryButtons();
+  renderSaveStatus();
+  renderSync();
+  renderSharedPlan();
+  renderBankOptions();
   renderSettings();
+  renderAccrualRules();
+  renderSnapshots();
+  renderSchedules();
+  renderHolidays();
   renderDashboard();
   renderPTOTable();
   renderCreditsTable();
+  renderRecurring();
+  renderScenarios();
   updatePTOPreview();
+  if (!document.getElementById('tab-Ledger').classList.contains('hidden')) renderLedger();
 }
 
 /* =========================
  * UI event handlers
  * ========================= */
 
-// Update the PTO preview when date inputs change
+// Build a PTO range from the Add PTO form, or null when a date is missing
+function readPTOForm() {
+  const from = document.getElementById('ptoFrom').value;
+  const to = document.getElementById('ptoTo').value;
+  if (!from || !to) return null;
+  const range = { from, to, bank: document.getElementById('ptoBank').value, note: document.getElementById('ptoNote').value.trim() };
+  const mode = document.getElementById('ptoMode').value;
+  if (mode === 'total') {
+    range.totalHours = Number(document.getElementById('ptoTotalHours').value);
+  } else if (mode === 'days') {
+    const dayHours = {};
+    for (const input of document.querySelectorAll('#ptoDayList input')) {
+      const date = input.getAttribute('data-date');
+      const hours = Number(input.value);
+      if (hours !== defaultPTOHours(toDateOnlyUTC(date))) dayHours[date] = hours;
+    }
+    if (Object.keys(dayHours).length) range.dayHours = dayHours;
+  }
+  return range;
+}
+
+// Rebuild the per-day hour inputs for the selected range, keeping edited values
+function renderPTODayList() {
+  const list = document.getElementById('ptoDayList');
+  const previous = {};
+  for (const input of list.querySelectorAll('input')) previous[input.getAttribute('data-date')] = input.value;
+  list.innerHTML = '';
+  const from = toDateOnlyUTC(document.getElementById('ptoFrom').value);
+  const to = toDateOnlyUTC(document.getElementById('ptoTo').value);
+  if (!from || !to || to < from) return;
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    const base = defaultPTOHours(d);
+    if (!base) continue;
+    const key = ymd(d);
+    const label = document.createElement('label');
+    label.className = 'block';
+    label.innerHTML = `
+      <span class="text-xs text-gray-500">${key}</span>
+      <input data-date="${escapeAttr(key)}" type="number" step="0.25" min="0" max="24" value="${escapeAttr(key in previous ? previous[key] : base)}" class="w-full rounded-xl border border-gray-300 p-2" />
+    `;
+    label.querySelector('input').addEventListener('input', updatePTOPreview);
+    list.appendChild(label);
+  }
+}
+
+// Update the PTO preview when date inputs or the hours mode change
 function updatePTOPreview() {
-  const fromVal = document.getElementById('ptoFrom').value;
-  const toVal = document.getElementById('ptoTo').value;
-  if (!fromVal || !toVal) {
+  const mode = document.getElementById('ptoMode').value;
+  document.getElementById('ptoTotalWrap').classList.toggle('hidden', mode !== 'total');
+  document.getElementById('ptoDaysWrap').classList.toggle('hidden', mode !== 'days');
+  if (mode === 'days') renderPTODayList();
+  const range = readPTOForm();
+  const checkLine = document.getElementById('ptoCheck');
+  checkLine.textContent = '';
+  if (!range) {
     document.getElementById('ptoCalcHours').value = '';
     return;
-    }
-  const from = toDateOnlyUTC(fromVal);
-  const to = toDateOnlyUTC(toVal);
-  if (to < from) {
+  }
+  if (ptoRangeError(range)) {
     document.getElementById('ptoCalcHours').value = '0';
     return;
   }
-  const days = weekdaysBetweenInclusive(from, to);
-  document.getElementById('ptoCalcHours').value = (days * 8).toFixed(2);
+  document.getElementById('ptoCalcHours').value = ptoRangeHours(range).toFixed(2);
+  const check = ptoRangeCheck(range);
+  checkLine.textContent = `With this PTO: ${describeBalanceCheck(check)}`;
+  checkLine.className = `text-sm mb-2 ${check.below.length ? 'text-red-700' : 'text-emerald-700'}`;
 }
 
-// Switch between Overview and Forecast tabs
+// Tabs in button order; each has a button `tab<Name>` and a panel `tab-<Name>`
+const TABS = ['Overview', 'Forecast', 'Ledger'];
+
+// Switch between the tabs
 function setTabButtonStyles(active) {
-  const btnOverview = document.getElementById('tabOverview');
-  const btnForecast = document.getElementById('tabForecast');
   const activeCls = ['bg-gray-900', 'text-white'];
   const inactiveCls = ['bg-white', 'border', 'text-gray-900'];
-  [btnOverview, btnForecast].forEach((b) => b.classList.remove(...activeCls, ...inactiveCls));
-  if (active === 'Overview') {
-    btnOverview.classList.add(...activeCls);
-    btnForecast.classList.add(...inactiveCls);
-  } else {
-    btnForecast.classList.add(...activeCls);
-    btnOverview.classList.add(...inactiveCls);
+  for (const tab of TABS) {
+    const btn = document.getElementById(`tab${tab}`);
+    btn.classList.remove(...activeCls, ...inactiveCls);
+    btn.classList.add(...(tab === active ? activeCls : inactiveCls));
   }
 }
 
 function switchTab(tab) {
-  const overview = document.getElementById('tab-Overview');
-  const forecast = document.getElementById('tab-Forecast');
+  for (const name of TABS) document.getElementById(`tab-${name}`).classList.toggle('hidden', name !== tab);
+  setTabButtonStyles(tab);
   if (tab === 'Forecast') {
-    overview.classList.add('hidden');
-    forecast.classList.remove('hidden');
-    setTabButtonStyles('Forecast');
     // Ensure dataset.mode exists before drawing
     if (!document.body.dataset.mode) document.body.dataset.mode = 'year';
     requestAnimationFrame(drawCurrentForecast);
-  } else {
-    forecast.classList.add('hidden');
-    overview.classList.remove('hidden');
-    setTabButtonStyles('Overview');
+  } else if (tab === 'Ledger') {
+    renderLedger();
   }
 }
 
 function wireUIEvents() {
   document.getElementById('saveSettings').addEventListener('click', () => {
-    state.startDate = document.getElementById('startDate').value || state.startDate;
-    state.startBalance = Number(document.getElementById('startBalance').value);
-    state.accrualPerPeriod = Number(document.getElementById('accrualPerPeriod').value);
-    state.firstPayday = document.getElementById('firstPayday').value || state.firstPayday;
-    state.payFrequencyDays = Number(document.getElementById('payFrequencyDays').value);
+    const cap = document.getElementById('balanceCap').value;
+    const carryover = document.getElementById('carryoverLimit').value;
+    const resetDate = document.getElementById('resetDate').value.trim() || '01-01';
+    if (!isValidResetDate(resetDate)) return alert('Enter the reset date as MM-DD, e.g. 01-01.');
+    const bank = getBank(settingsBankId);
+    const edited = {
+      ...bank,
+      startBalance: Number(document.getElementById('startBalance').value),
+      accrualPerPeriod: Number(document.getElementById('accrualPerPeriod').value),
+      firstPayday: document.getElementById('firstPayday').value || bank.firstPayday,
+      payFrequencyDays: Number(document.getElementById('payFrequencyDays').value),
+      payScheduleType: document.getElementById('payScheduleType').value,
+      payDayOfMonth: Number(document.getElementById('payDayOfMonth').value) || null,
+      balanceCap: cap === '' ? null : Number(cap),
+      carryoverLimit: carryover === '' ? null : Number(carryover),
+      balanceFloor: Number(document.getElementById('balanceFloor').value) || 0,
+      resetDate,
+    };
+    const candidate = {
+      ...state,
+      startDate: document.getElementById('startDate').value || state.startDate,
+      banks: state.banks.map((b) => (b === bank ? edited : b)),
+    };
+    const errors = validateState(candidate);
+    if (errors.length) return showStateErrors('Settings were not saved', errors);
+    hideStateErrors();
+    state.startDate = candidate.startDate;
+    Object.assign(bank, edited);
     saveState();
     renderAll();
   });
   document.getElementById('recalc').addEventListener('click', renderAll);
+  document.getElementById('settingsBank').addEventListener('change', (e) => {
+    settingsBankId = e.target.value;
+    renderAll();
+  });
+  document.getElementById('addBank').addEventListener('click', () => {
+    const name = (prompt('Name of the new leave bank (e.g. Sick, Personal, Comp time):') || '').trim();
+    if (!name) return;
+    const primary = state.banks[0];
+    const bank = {
+      ...DEFAULT_BANK,
+      id: makeBankId(name),
+      name,
+      startBalance: 0,
+      accrualPerPeriod: 0,
+      firstPayday: primary.firstPayday,
+      payFrequencyDays: primary.payFrequencyDays,
+      payScheduleType: primary.payScheduleType,
+      payDayOfMonth: primary.payDayOfMonth,
+      accrualRules: [],
+    };
+    state.banks.push(bank);
+    settingsBankId = bank.id;
+    saveState();
+    renderAll();
+  });
+  document.getElementById('renameBank').addEventListener('click', () => {
+    const bank = getBank(settingsBankId);
+    const name = (prompt('New name for this leave bank:', bank.name) || '').trim();
+    if (!name) return;
+    bank.name = name;
+    saveState();
+    renderAll();
+  });
+  document.getElementById('deleteBank').addEventListener('click', () => {
+    const bank = getBank(settingsBankId);
+    if (state.banks.length === 1) return alert('At least one leave bank is required.');
+    const { data, removed } = removeBank(state, bank.id);
+    const inScenarios = removed.scenarioEntries ? `, plus ${removed.scenarioEntries} PTO range(s) and credit(s) in scenarios` : '';
+    if (!confirm(`Delete the ${bank.name} bank with its ${removed.ptoRanges} PTO range(s), ${removed.credits} credit(s) and ${removed.recurring} recurring rule(s)${inScenarios}?`)) return;
+    state = data;
+    settingsBankId = null;
+    saveState();
+    renderAll();
+  });
+  document.getElementById('payScheduleType').addEventListener('change', () => {
+    togglePayScheduleFields('payScheduleType', 'payFrequencyWrap', 'payDayOfMonthWrap');
+  });
+  document.getElementById('ruleType').addEventListener('change', () => {
+    togglePayScheduleFields('ruleType', 'ruleFrequencyWrap', 'ruleDayOfMonthWrap');
+  });
+  document.getElementById('addAccrualRule').addEventListener('click', () => {
+    const effective = document.getElementById('ruleEffective').value;
+    const rate = Number(document.getElementById('ruleRate').value);
+    const type = document.getElementById('ruleType').value;
+    const frequencyDays = Number(document.getElementById('ruleFrequencyDays').value);
+    const dayOfMonth = Number(document.getElementById('ruleDayOfMonth').value);
+    const note = document.getElementById('ruleNote').value.trim();
+    if (!effective || !isFinite(rate) || rate < 0) return alert('Enter an effective date and an accrual rate of zero or more hours.');
+    if (type === 'interval' && !(Number.isInteger(frequencyDays) && frequencyDays >= 1)) return alert('Enter a pay frequency of at least 1 day.');
+    if (type === 'monthly' && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31)) return alert('Enter a pay day of month between 1 and 31.');
+    const rule = { effective, rate, type, note };
+    if (type === 'interval') rule.frequencyDays = frequencyDays;
+    if (type === 'monthly') rule.dayOfMonth = dayOfMonth;
+    const bank = getBank(settingsBankId);
+    bank.accrualRules = bank.accrualRules.filter((r) => r.effective !== effective);
+    bank.accrualRules.push(rule);
+    saveState();
+    document.getElementById('ruleEffective').value = '';
+    document.getElementById('ruleRate').value = '';
+    document.getElementById('ruleNote').value = '';
+    renderAll();
+  });
+  document.getElementById('addSnapshot').addEventListener('click', () => {
+    const date = document.getElementById('snapshotDate').value;
+    const balanceText = document.getElementById('snapshotBalance').value;
+    const balance = Number(balanceText);
+    const note = document.getElementById('snapshotNote').value.trim();
+    if (!date || balanceText === '' || !isFinite(balance)) return alert('Enter a date and the reported balance.');
+    if (date < state.startDate) return alert('A snapshot must be on or after the start date.');
+    const bank = getBank(settingsBankId);
+    bank.snapshots = bank.snapshots.filter((snap) => snap.date !== date);
+    bank.snapshots.push({ date, balance, note });
+    saveState();
+    document.getElementById('snapshotDate').value = '';
+    document.getElementById('snapshotBalance').value = '';
+    document.getElementById('snapshotNote').value = '';
+    renderAll();
+    refreshForecastIfVisible();
+  });
   document.getElementById('computeProjection').addEventListener('click', () => {
     const date = document.getElementById('projectionDate').value;
-    document.getElementById('projectionResult').textContent = date ? fmt(getBalanceOn(date)) : 'Pick a date';
+    document.getElementById('projectionResult').textContent = date
+      ? state.banks.map((b) => `${b.name}: ${fmt(getBalanceOn(date, b.id))}`).join(' · ')
+      : 'Pick a date';
+  });
+  document.getElementById('ptoBank').addEventListener('change', updatePTOPreview);
+  document.getElementById('findTripDates').addEventListener('click', () => {
+    const workdays = Number(document.getElementById('tripWorkdays').value);
+    if (!Number.isInteger(workdays) || workdays < 1) return alert('Enter a trip length of at least 1 workday.');
+    const from = document.getElementById('tripSearchFrom').value || ymd(clampDate(new Date()));
+    const bankId = document.getElementById('ptoBank').value;
+    const trips = findAffordableTrips(bankId, workdays, from);
+    const list = document.getElementById('tripResults');
+    if (!trips.length) {
+      list.innerHTML = `<li class="text-red-700">No ${workdays}-workday trip in the year from ${from} keeps ${getBank(bankId).name.replace(/</g, '&lt;')} at or above its floor.</li>`;
+      return;
+    }
+    list.innerHTML = trips
+      .map((t, i) => `
+        <li class="flex items-center gap-3">
+          <span>${t.from} – ${t.to} · ${fmt(t.hours)} · lowest balance after ${fmt(t.lowest)}</span>
+          <button data-idx="${i}" class="useTrip text-blue-700 hover:underline">Use</button>
+        </li>`)
+      .join('');
+    [...list.querySelectorAll('.useTrip')].forEach((btn) => {
+      btn.addEventListener('click', (ev) => {
+        const trip = trips[Number(ev.currentTarget.getAttribute('data-idx'))];
+        document.getElementById('ptoFrom').value = trip.from;
+        document.getElementById('ptoTo').value = trip.to;
+        updatePTOPreview();
+      });
+    });
   });
   document.getElementById('ptoFrom').addEventListener('change', updatePTOPreview);
   document.getElementById('ptoTo').addEventListener('change', updatePTOPreview);
+  document.getElementById('ptoMode').addEventListener('change', updatePTOPreview);
+  document.getElementById('ptoTotalHours').addEventListener('input', updatePTOPreview);
   document.getElementById('addPTO').addEventListener('click', () => {
-    const from = document.getElementById('ptoFrom').value;
-    const to = document.getElementById('ptoTo').value;
-    const note = document.getElementById('ptoNote').value.trim();
-    if (!from || !to) return alert('Enter both from and to dates.');
-    const f = toDateOnlyUTC(from);
-    const t = toDateOnlyUTC(to);
-    if (t < f) return alert('The "to" date must not be before the "from" date.');
-    const hours = weekdaysBetweenInclusive(f, t) * 8;
-    state.ptoRanges.push({ from, to, hours, note });
+    const range = readPTOForm();
+    if (!range) return alert('Enter both from and to dates.');
+    const error = ptoRangeError(range);
+    if (error) return alert(error);
+    const check = ptoRangeCheck(range);
+    if (check.below.length && !confirm(`${describeBalanceCheck(check)}\n\nAdd this PTO anyway?`)) return;
+    range.hours = ptoRangeHours(range);
+    state.ptoRanges.push(range);
     saveState();
     document.getElementById('ptoFrom').value = '';
     document.getElementById('ptoTo').value = '';
     document.getElementById('ptoNote').value = '';
+    document.getElementById('ptoMode').value = 'full';
+    document.getElementById('ptoTotalHours').value = '';
+    document.getElementById('ptoDayList').innerHTML = '';
     document.getElementById('ptoCalcHours').value = '';
     renderAll();
   });
@@ -400,61 +1933,406 @@ function wireUIEvents() {
     const date = document.getElementById('creditDate').value;
     const hours = Number(document.getElementById('creditHours').value);
     const note = document.getElementById('creditNote').value.trim();
+    const bank = document.getElementById('creditBank').value;
     if (!date || !isFinite(hours) || hours <= 0) return alert('Enter a valid date and positive hours.');
-    state.credits.push({ date, hours, note });
+    state.credits.push({ date, hours, bank, note });
+    saveState();
+    document.getElementById('creditDate').value = '';
+    document.getElementById('creditHours').value = '';
+    document.getElementById('creditNote').value = '';
+    renderAll();
+  });
+  // Show only the recurrence inputs that apply
+  const toggleRecurringFields = () => {
+    const end = document.getElementById('recurringEnd').value;
+    document.getElementById('recurringMonthlyByWrap').classList.toggle('hidden', document.getElementById('recurringFreq').value !== 'monthly');
+    document.getElementById('recurringUntilWrap').classList.toggle('hidden', end !== 'until');
+    document.getElementById('recurringCountWrap').classList.toggle('hidden', end !== 'count');
+    document.getElementById('recurringHours').placeholder = document.getElementById('recurringKind').value === 'pto' ? 'Scheduled hours' : '';
+  };
+  for (const id of ['recurringFreq', 'recurringEnd', 'recurringKind']) document.getElementById(id).addEventListener('change', toggleRecurringFields);
+  document.getElementById('addRecurring').addEventListener('click', () => {
+    const value = (id) => document.getElementById(id).value;
+    const rule = {
+      id: makeId(),
+      kind: value('recurringKind'),
+      bank: value('recurringBank'),
+      start: value('recurringStart'),
+      freq: value('recurringFreq'),
+      interval: Number(value('recurringInterval')),
+      hours: value('recurringHours') === '' ? null : Number(value('recurringHours')),
+      note: value('recurringNote').trim(),
+      exceptions: {},
+    };
+    if (rule.freq === 'monthly') rule.monthlyBy = value('recurringMonthlyBy');
+    if (value('recurringEnd') === 'until') rule.until = value('recurringUntil');
+    if (value('recurringEnd') === 'count') rule.count = Number(value('recurringCount'));
+    const error = recurringRuleError(rule);
+    if (error) return alert(error);
+    state.recurring.push(rule);
+    saveState();
+    for (const id of ['recurringStart', 'recurringHours', 'recurringNote', 'recurringUntil', 'recurringCount']) document.getElementById(id).value = '';
+    renderAll();
+  });
+  document.getElementById('closeOccurrences').addEventListener('click', () => {
+    openRecurringId = null;
+    editingOccurrence = null;
+    renderOccurrences();
+  });
+  document.getElementById('schedulePreset').addEventListener('change', (e) => {
+    const preset = SCHEDULE_PRESETS[e.target.value];
+    if (!preset) return;
+    setScheduleWeekInputs('scheduleA', preset.weekA);
+    setScheduleWeekInputs('scheduleB', preset.weekB);
+    document.getElementById('scheduleAlternating').checked = !!preset.weekB;
+    document.getElementById('scheduleWeekB').classList.toggle('hidden', !preset.weekB);
+  });
+  document.getElementById('scheduleAlternating').addEventListener('change', (e) => {
+    document.getElementById('scheduleWeekB').classList.toggle('hidden', !e.target.checked);
+  });
+  document.getElementById('addSchedule').addEventListener('click', () => {
+    const effective = document.getElementById('scheduleEffective').value;
+    const weekA = readScheduleWeekInputs('scheduleA');
+    const alternating = document.getElementById('scheduleAlternating').checked;
+    const weekB = alternating ? readScheduleWeekInputs('scheduleB') : null;
+    if (!effective) return alert('Enter the date the schedule takes effect.');
+    if ([...weekA, ...(weekB || [])].some((h) => h < 0 || h > 24)) return alert('Daily hours must be between 0 and 24.');
+    if (!weekA.some((h) => h > 0) && !(weekB || []).some((h) => h > 0)) return alert('The schedule needs at least one workday.');
+    state.workSchedules = state.workSchedules.filter((s) => s.effective !== effective);
+    state.workSchedules.push({ effective, weekA, weekB });
+    saveState();
+    document.getElementById('scheduleEffective').value = '';
+    renderAll();
+  });
+  document.getElementById('addHoliday').addEventListener('click', () => {
+    const date = document.getElementById('holidayDate').value;
+    const name = document.getElementById('holidayTitle').value.trim();
+    const yearly = document.getElementById('holidayYearly').checked;
+    if (!date || !name) return alert('Enter a date and a name for the holiday.');
+    state.holidays.custom.push({ date, name, yearly });
+    saveState();
+    document.getElementById('holidayDate').value = '';
+    document.getElementById('holidayTitle').value = '';
+    document.getElementById('holidayYearly').checked = false;
+    renderAll();
+  });
+  document.getElementById('exportBtn').addEventListener('click', () => {
+    downloadFile('vacation_planner_state.json', JSON.stringify(state, null, 2), 'application/json');
+  });
+  document.getElementById('exportIcs').addEventListener('click', () => {
+    if (!state.ptoRanges.length) return alert('There is no planned PTO to export.');
+    downloadFile('vacation_planner_pto.ics', buildIcs(state.ptoRanges, profiles.activeId), 'text/calendar');
+  });
+  document.getElementById('icsInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const events = parseIcs(String(reader.result));
+      if (!events.length) return alert('No events with dates were found in the file.');
+      icsImport = events.map((event) => ({ event, target: 'pto', include: !icsDuplicate(event, 'pto') }));
+      document.getElementById('icsBank').value = document.getElementById('ptoBank').value;
+      document.getElementById('icsPreview').classList.remove('hidden');
+      renderIcsPreview();
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  });
+  document.getElementById('exportPtoCsv').addEventListener('click', () => {
+    if (!state.ptoRanges.length) return alert('There is no planned PTO to export.');
+    downloadFile('vacation_planner_pto.csv', ptoCsv(state.ptoRanges), 'text/csv');
+  });
+  document.getElementById('exportCreditsCsv').addEventListener('click', () => {
+    if (!state.credits.length) return alert('There are no credits to export.');
+    downloadFile('vacation_planner_credits.csv', creditsCsv(state.credits), 'text/csv');
+  });
+  document.getElementById('ptoCsvInput').addEventListener('change', (e) => importCsvFile(e.target, 'pto'));
+  document.getElementById('creditsCsvInput').addEventListener('change', (e) => importCsvFile(e.target, 'credit'));
+  document.getElementById('csvMappingImport').addEventListener('click', applyCsvMapping);
+  document.getElementById('csvMappingCancel').addEventListener('click', closeCsvMapping);
+  document.getElementById('icsFilter').addEventListener('input', renderIcsPreview);
+  document.getElementById('icsCancel').addEventListener('click', closeIcsPreview);
+  document.getElementById('icsAddSelected').addEventListener('click', () => {
+    const shown = filterIcsEvents(icsImport.map((i) => i.event), document.getElementById('icsFilter').value);
+    const selected = icsImport.filter((i) => i.include && shown.includes(i.event));
+    if (!selected.length) return alert('Select at least one event to add.');
+    const bank = document.getElementById('icsBank').value;
+    for (const { event, target } of selected) {
+      if (target === 'holiday') {
+        for (let d = toDateOnlyUTC(event.from); d <= toDateOnlyUTC(event.to); d = addDays(d, 1)) {
+          state.holidays.custom.push({ date: ymd(d), name: event.summary || 'Holiday', yearly: false });
+        }
+      } else {
+        const range = { from: event.from, to: event.to, bank, note: event.summary };
+        range.hours = ptoRangeHours(range);
+        state.ptoRanges.push(range);
+      }
+    }
     saveState();
-    document.getElementById('creditDate').value = '';
-    document.getElementById('creditHours').value = '';
-    document.getElementById('creditNote').value = '';
+    closeIcsPreview();
     renderAll();
+    refreshForecastIfVisible();
   });
-  document.getElementById('exportBtn').addEventListener('click', () => {
-    const dataStr = JSON.stringify(state, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'vacation_planner_state.json';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+  document.getElementById('exportAllBtn').addEventListener('click', () => {
+    const bundle = {
+      type: BUNDLE_TYPE,
+      profiles: profiles.profiles.map((p) => ({ name: p.name, state: p.id === profiles.activeId ? state : readState(p.id).state })),
+    };
+    downloadFile('vacation_planner_profiles.json', JSON.stringify(bundle, null, 2), 'application/json');
   });
   document.getElementById('importInput').addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
+      let imported;
       try {
-        const imported = JSON.parse(reader.result);
-        state = { ...DEFAULTS, ...imported };
-        state.ptoRanges = Array.isArray(imported.ptoRanges) ? imported.ptoRanges : [];
-        state.credits = Array.isArray(imported.credits) ? imported.credits : [];
-        saveState();
-        renderAll();
+        imported = JSON.parse(reader.result);
       } catch {
-        alert('Could not import the file.');
+        return showStateErrors('Could not import the file', [{ path: '(file)', message: 'is not valid JSON' }]);
+      }
+      if (imported && imported.type === BUNDLE_TYPE && Array.isArray(imported.profiles)) {
+        if (!importBundle(imported)) return;
+      } else {
+        const { data, errors } = checkState(imported);
+        if (errors.length) return showStateErrors('Could not import the file', errors);
+        state = normalizeState(data);
+        saveState();
       }
+      hideStateErrors();
+      renderAll();
+      refreshForecastIfVisible();
     };
     reader.readAsText(file);
     e.target.value = '';
   });
+  document.getElementById('dismissStateErrors').addEventListener('click', hideStateErrors);
+  document.getElementById('sharePlan').addEventListener('click', async () => {
+    const url = await shareLink(sharedPlan && sharedPlan.viewing ? sharedPlan.data : state);
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('A link to this plan was copied. Anyone who opens it can view or import the plan.');
+    } catch {
+      prompt('Copy this link to share the plan:', url);
+    }
+  });
+  document.getElementById('viewSharedPlan').addEventListener('click', () => {
+    sharedPlan.viewing = true;
+    state = normalizeState(sharedPlan.data);
+    clearCaches();
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('importSharedPlan').addEventListener('click', () => {
+    const name = (prompt('Name for the imported plan:', 'Shared plan') || '').trim();
+    if (!name) return;
+    addProfile(name, sharedPlan.data);
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('mergeSharedPlan').addEventListener('click', () => {
+    const shared = sharedPlan.data;
+    if (sharedPlan.viewing) {
+      state = loadState();
+      clearCaches();
+    }
+    const add = sharedPlanAdditions(shared);
+    const name = activeProfile().name;
+    if (!add.banks.length && !add.ptoRanges.length && !add.credits.length && !add.recurring.length) {
+      alert(`“${name}” already has every PTO range and credit of the shared plan.`);
+    } else if (
+      confirm(`Add ${add.ptoRanges.length} PTO range(s), ${add.credits.length} credit(s), ${add.recurring.length} recurring rule(s) and ${add.banks.length} bank(s) from the shared plan to “${name}”? Your own settings are kept.`)
+    ) {
+      sharedPlan = null;
+      state.banks.push(...add.banks);
+      state.ptoRanges.push(...add.ptoRanges);
+      state.credits.push(...add.credits);
+      state.recurring.push(...add.recurring);
+      saveState();
+    } else if (sharedPlan.viewing) {
+      // Stay on the shared plan
+      state = normalizeState(shared);
+      clearCaches();
+    }
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('closeSharedPlan').addEventListener('click', closeSharedPlan);
+  document.getElementById('scenarioSettingField').innerHTML = Object.entries(SCENARIO_FIELDS)
+    .map(([field, label]) => `<option value="${escapeAttr(field)}">${label}</option>`)
+    .join('');
+  document.getElementById('newScenario').addEventListener('click', () => {
+    const name = (prompt('Name of the scenario (e.g. Japan in April):') || '').trim();
+    if (!name) return;
+    const scenario = { id: makeId(), name, visible: true, ptoRanges: [], credits: [], bankChanges: {} };
+    state.scenarios.push(scenario);
+    editingScenarioId = scenario.id;
+    saveState();
+    renderScenarios();
+    refreshForecastIfVisible();
+  });
+  const editedScenario = () => state.scenarios.find((sc) => sc.id === editingScenarioId);
+  // Save a change to the scenario being edited and redraw
+  const scenarioChanged = () => {
+    saveState();
+    renderScenarios();
+    refreshForecastIfVisible();
+  };
+  document.getElementById('renameScenario').addEventListener('click', () => {
+    const scenario = editedScenario();
+    const name = (prompt('New name for this scenario:', scenario.name) || '').trim();
+    if (!name) return;
+    scenario.name = name;
+    scenarioChanged();
+  });
+  document.getElementById('deleteScenario').addEventListener('click', () => {
+    const scenario = editedScenario();
+    if (!confirm(`Delete the scenario "${scenario.name}"?`)) return;
+    state.scenarios = state.scenarios.filter((sc) => sc !== scenario);
+    editingScenarioId = null;
+    scenarioChanged();
+  });
+  document.getElementById('applyScenario').addEventListener('click', () => {
+    const scenario = editedScenario();
+    if (!confirm(`Add the changes of "${scenario.name}" to your plan and remove the scenario?`)) return;
+    const applied = scenarioState(scenario);
+    state.banks = applied.banks;
+    state.ptoRanges = applied.ptoRanges;
+    state.credits = applied.credits;
+    state.scenarios = state.scenarios.filter((sc) => sc !== scenario);
+    editingScenarioId = null;
+    saveState();
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('addScenarioPTO').addEventListener('click', () => {
+    const range = {
+      from: document.getElementById('scenarioPtoFrom').value,
+      to: document.getElementById('scenarioPtoTo').value,
+      bank: document.getElementById('scenarioPtoBank').value,
+      note: document.getElementById('scenarioPtoNote').value.trim(),
+    };
+    const error = ptoRangeError(range);
+    if (error) return alert(error);
+    range.hours = ptoRangeHours(range);
+    editedScenario().ptoRanges.push(range);
+    document.getElementById('scenarioPtoFrom').value = '';
+    document.getElementById('scenarioPtoTo').value = '';
+    document.getElementById('scenarioPtoNote').value = '';
+    scenarioChanged();
+  });
+  document.getElementById('addScenarioCredit').addEventListener('click', () => {
+    const date = document.getElementById('scenarioCreditDate').value;
+    const hours = Number(document.getElementById('scenarioCreditHours').value);
+    if (!date || !isFinite(hours) || hours <= 0) return alert('Enter a valid date and positive hours.');
+    editedScenario().credits.push({ date, hours, bank: document.getElementById('scenarioCreditBank').value, note: '' });
+    document.getElementById('scenarioCreditDate').value = '';
+    document.getElementById('scenarioCreditHours').value = '';
+    scenarioChanged();
+  });
+  document.getElementById('addScenarioSetting').addEventListener('click', () => {
+    const bankId = document.getElementById('scenarioSettingBank').value;
+    const field = document.getElementById('scenarioSettingField').value;
+    const text = document.getElementById('scenarioSettingValue').value;
+    const value = text === '' ? null : Number(text);
+    if (value !== null && !isFinite(value)) return alert('Enter a number, or leave the value blank for none.');
+    if (value === null && !['balanceCap', 'carryoverLimit'].includes(field)) return alert(`Enter a value for the ${SCENARIO_FIELDS[field].toLowerCase()}.`);
+    if (value !== null && value < 0 && field !== 'startBalance' && field !== 'balanceFloor') return alert(`The ${SCENARIO_FIELDS[field].toLowerCase()} must be zero or more.`);
+    const scenario = editedScenario();
+    scenario.bankChanges[bankId] = { ...(scenario.bankChanges[bankId] || {}), [field]: value };
+    document.getElementById('scenarioSettingValue').value = '';
+    scenarioChanged();
+  });
+  window.addEventListener('storage', handleStorageChange);
+  document.getElementById('syncConnect').addEventListener('click', async () => {
+    const url = document.getElementById('syncUrl').value.trim();
+    if (!/^https?:\/\/[^/]/i.test(url)) return alert('Enter the address of the sync server, such as http://localhost:8787.');
+    try {
+      await connectSync(url);
+    } catch (err) {
+      alert(`Could not connect to the sync server. ${err.message}`);
+    }
+  });
+  document.getElementById('syncNow').addEventListener('click', syncNow);
+  document.getElementById('syncDisconnect').addEventListener('click', () => {
+    if (!confirm('Stop syncing with this server? Your plans stay in this browser and on the server.')) return;
+    disconnectSync();
+    renderSync();
+    renderSaveStatus();
+  });
+  // Catch up with changes made elsewhere when the page comes back
+  window.addEventListener('online', syncNow);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') syncNow();
+  });
+  document.getElementById('undoBtn').addEventListener('click', () => undoRedo('undo'));
+  document.getElementById('redoBtn').addEventListener('click', () => undoRedo('redo'));
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, except while typing in a field
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z') undoRedo(e.shiftKey ? 'redo' : 'undo');
+    else if (key === 'y') undoRedo('redo');
+    else return;
+    e.preventDefault();
+  });
+  document.getElementById('profileSelect').addEventListener('change', (e) => {
+    switchProfile(e.target.value);
+    settingsBankId = null;
+    editingPTO = null;
+    editingCredit = null;
+    if (stateLoadErrors.length) showStateErrors(`Some saved data was invalid and has been repaired ${backupNote(stateBackedUp)}`, stateLoadErrors);
+    else hideStateErrors();
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('newProfile').addEventListener('click', () => {
+    const name = (prompt('Name of the new profile:') || '').trim();
+    if (!name) return;
+    addProfile(name, {});
+    settingsBankId = null;
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('renameProfile').addEventListener('click', () => {
+    const profile = activeProfile();
+    const name = (prompt('New name for this profile:', profile.name) || '').trim();
+    if (!name) return;
+    profile.name = name;
+    saveProfiles();
+    markForSync(profile.id);
+    renderProfiles();
+  });
+  document.getElementById('duplicateProfile').addEventListener('click', () => {
+    const name = (prompt('Name of the copy:', `${activeProfile().name} (copy)`) || '').trim();
+    if (!name) return;
+    addProfile(name, JSON.parse(JSON.stringify(state)));
+    renderAll();
+    refreshForecastIfVisible();
+  });
+  document.getElementById('deleteProfile').addEventListener('click', () => {
+    const profile = activeProfile();
+    if (profiles.profiles.length === 1) return alert('At least one profile is required.');
+    if (!confirm(`Delete the profile "${profile.name}" with all of its settings, PTO and credits?`)) return;
+    deleteProfile(profile.id);
+    settingsBankId = null;
+    renderAll();
+    refreshForecastIfVisible();
+  });
   // Delegate tab switching and forecast controls
   document.addEventListener('click', (e) => {
-    const forecastBtn = e.target.closest('button#tabForecast');
-    const overviewBtn = e.target.closest('button#tabOverview');
-    if (forecastBtn) {
-      switchTab('Forecast');
-      return;
-    }
-    if (overviewBtn) {
-      switchTab('Overview');
+    const tabBtn = e.target.closest('button.tabbtn');
+    if (tabBtn) {
+      switchTab(tabBtn.id.replace(/^tab/, ''));
       return;
     }
     if (e.target.id === 'regenForecast') {
       drawCurrentForecast();
     } else if (e.target.id === 'exportForecastCsv') {
       exportForecastCsv();
+    } else if (e.target.id === 'forecastTableToggle') {
+      toggleForecastTable();
     } else if (e.target.id === 'modeYear') {
       document.body.dataset.mode = 'year';
       document.getElementById('forecastYearWrap').classList.remove('hidden');
@@ -467,30 +2345,399 @@ function wireUIEvents() {
       drawForecastSplit();
     }
   });
-  window.addEventListener('resize', () => {
-    const forecast = document.getElementById('tab-Forecast');
-    if (!forecast.classList.contains('hidden')) drawCurrentForecast();
+  document.getElementById('forecastBank').addEventListener('change', drawCurrentForecast);
+  document.getElementById('forecastHorizon').addEventListener('change', (e) => {
+    const custom = e.target.value === 'custom';
+    document.getElementById('forecastCustomRange').classList.toggle('hidden', !custom);
+    // Start a custom horizon from the one last shown
+    const from = document.getElementById('forecastFrom');
+    const to = document.getElementById('forecastTo');
+    if (custom && !from.value && !to.value) {
+      const { start, days } = lastForecastRange || { start: clampDate(new Date()), days: FORECAST_DAYS };
+      from.value = ymd(start);
+      to.value = ymd(addDays(start, days));
+    }
+    drawCurrentForecast();
+  });
+  document.getElementById('forecastFrom').addEventListener('change', drawCurrentForecast);
+  document.getElementById('forecastTo').addEventListener('change', drawCurrentForecast);
+  for (const id of ['ledgerBank', 'ledgerFrom', 'ledgerTo']) document.getElementById(id).addEventListener('change', renderLedger);
+  for (const box of document.querySelectorAll('.ledgerType')) box.addEventListener('change', renderLedger);
+  document.getElementById('exportLedgerCsv').addEventListener('click', exportLedgerCsv);
+  window.addEventListener('resize', refreshForecastIfVisible);
+  document.getElementById('printReport').addEventListener('click', printReport);
+  document.getElementById('exportChartPng').addEventListener('click', exportChartPng);
+  // Printing from the browser menu prints the report too
+  window.addEventListener('beforeprint', buildReport);
+}
+
+// Events read from the last .ics file, each with { event, target, include }
+// where target is 'pto' or 'holiday'
+let icsImport = [];
+
+// Show the .ics events that match the keyword filter with their duplicate
+// checks. New events are selected; clashing ones start unselected.
+function renderIcsPreview() {
+  const tbody = document.getElementById('icsEventTable');
+  const shown = filterIcsEvents(icsImport.map((i) => i.event), document.getElementById('icsFilter').value);
+  tbody.innerHTML = '';
+  for (const item of icsImport) {
+    if (!shown.includes(item.event)) continue;
+    const e = item.event;
+    const duplicate = icsDuplicate(e, item.target);
+    const tr = document.createElement('tr');
+    tr.className = 'border-t';
+    tr.innerHTML = `
+      <td class="py-2"><input type="checkbox" class="icsInclude" ${item.include ? 'checked' : ''} /></td>
+      <td class="py-2">${e.from}</td>
+      <td class="py-2">${e.to}</td>
+      <td class="py-2">${(e.summary || '(no title)').replace(/</g, '&lt;')}</td>
+      <td class="py-2">
+        <select class="icsTarget rounded-lg border border-gray-300 p-1 bg-white">
+          <option value="pto" ${item.target === 'pto' ? 'selected' : ''}>PTO</option>
+          <option value="holiday" ${item.target === 'holiday' ? 'selected' : ''}>Holiday</option>
+        </select>
+      </td>
+      <td class="py-2 ${duplicate ? 'text-amber-700' : 'text-gray-500'}">${duplicate ? duplicate.replace(/</g, '&lt;') : 'New'}</td>
+    `;
+    tr.querySelector('.icsInclude').addEventListener('change', (ev) => {
+      item.include = ev.target.checked;
+      renderIcsSummary(shown);
+    });
+    tr.querySelector('.icsTarget').addEventListener('change', (ev) => {
+      item.target = ev.target.value;
+      item.include = !icsDuplicate(e, item.target);
+      renderIcsPreview();
+    });
+    tbody.appendChild(tr);
+  }
+  renderIcsSummary(shown);
+}
+
+function renderIcsSummary(shown) {
+  const selected = icsImport.filter((i) => i.include && shown.includes(i.event)).length;
+  document.getElementById('icsSummary').textContent = `${shown.length} of ${icsImport.length} event(s) match · ${selected} selected`;
+}
+
+// Import the PTO ranges or credits of the CSV file picked in `input`. When
+// a required column is not recognized by its header, the user matches the
+// columns first.
+function importCsvFile(input, kind) {
+  const file = input.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    const text = String(reader.result);
+    const result = readCsvImport(text, kind);
+    if (result.header.length && result.missing.length) return openCsvMapping({ text, kind, name: file.name }, result);
+    finishCsvImport(file.name, kind, result);
+  };
+  reader.readAsText(file);
+  input.value = '';
+}
+
+// Add the rows read from a CSV file after confirming the column mapping.
+// Bad lines are skipped and listed.
+function finishCsvImport(name, kind, { items, errors, header, columns }) {
+  const what = kind === 'pto' ? 'PTO range' : 'credit';
+  if (!items.length) {
+    return showStateErrors(`No ${what}s could be imported from ${name}`, errors.length ? errors : [{ path: '(file)', message: 'There are no rows below the header.' }]);
+  }
+  const mapping = Object.entries(columns).map(([field, idx]) => `${field} ← "${header[idx].trim()}"`).join(', ');
+  const skipped = errors.length ? `, skipping ${errors.length} bad line${errors.length === 1 ? '' : 's'}` : '';
+  if (!confirm(`Import ${items.length} ${what}${items.length === 1 ? '' : 's'}${skipped}?\nColumns: ${mapping}`)) return;
+  state[kind === 'pto' ? 'ptoRanges' : 'credits'].push(...items);
+  saveState();
+  renderAll();
+  if (errors.length) showStateErrors(`Skipped ${errors.length} line${errors.length === 1 ? '' : 's'} of ${name}`, errors);
+}
+
+// Names of the fields an imported CSV column can fill
+const CSV_FIELD_LABELS = { from: 'From date', to: 'To date', bank: 'Bank', totalHours: 'Total hours', note: 'Note', date: 'Date', hours: 'Hours' };
+
+// CSV file waiting for its columns to be matched: { text, kind, name }
+let csvMapping = null;
+
+// Show a column picker for each field of a CSV file, listing the headers
+// found and the ones expected for the fields that were not recognized
+function openCsvMapping(pending, { header, columns, missing }) {
+  csvMapping = pending;
+  const { fields, required } = CSV_COLUMNS[pending.kind];
+  const quoted = (names) => names.map((n) => `"${n}"`).join(', ');
+  document.getElementById('csvMappingTitle').textContent = `Match the columns of ${pending.name}`;
+  document.getElementById('csvMappingText').textContent =
+    `No column was recognized as ${missing.map((f) => CSV_FIELD_LABELS[f].toLowerCase()).join(' or ')}. ` +
+    `The file has the columns ${quoted(header.map((h) => h.trim()))}; ` +
+    `expected headers are ${missing.map((f) => `${quoted(fields[f])} for ${CSV_FIELD_LABELS[f].toLowerCase()}`).join(' and ')}. ` +
+    'Pick the column that holds each field.';
+  const wrap = document.getElementById('csvMappingFields');
+  wrap.innerHTML = '';
+  for (const field of Object.keys(fields)) {
+    const label = document.createElement('label');
+    label.className = 'block';
+    const name = document.createElement('span');
+    name.className = 'text-gray-600';
+    name.textContent = `${CSV_FIELD_LABELS[field]}${required.includes(field) ? ' (required)' : ''}`;
+    const select = document.createElement('select');
+    select.className = 'mt-1 w-full rounded-xl border border-gray-300 p-2';
+    select.dataset.field = field;
+    select.add(new Option('Not in the file', ''));
+    header.forEach((h, i) => select.add(new Option(`Column ${i + 1}: ${h.trim() || '(no header)'}`, String(i))));
+    select.value = field in columns ? String(columns[field]) : '';
+    label.append(name, select);
+    wrap.appendChild(label);
+  }
+  document.getElementById('csvMapping').classList.remove('hidden');
+  document.getElementById('csvMapping').scrollIntoView({ block: 'nearest' });
+}
+
+// Import the pending CSV file with the columns picked for it
+function applyCsvMapping() {
+  const { text, kind, name } = csvMapping;
+  const columns = {};
+  for (const select of document.querySelectorAll('#csvMappingFields select')) {
+    if (select.value !== '') columns[select.dataset.field] = Number(select.value);
+  }
+  const unpicked = CSV_COLUMNS[kind].required.filter((field) => !(field in columns));
+  if (unpicked.length) return alert(`Pick the column that holds the ${unpicked.map((f) => CSV_FIELD_LABELS[f].toLowerCase()).join(' and ')}.`);
+  closeCsvMapping();
+  finishCsvImport(name, kind, readCsvImport(text, kind, columns));
+}
+
+function closeCsvMapping() {
+  csvMapping = null;
+  document.getElementById('csvMappingFields').innerHTML = '';
+  document.getElementById('csvMapping').classList.add('hidden');
+}
+
+// Close the .ics preview and forget the file's events
+function closeIcsPreview() {
+  icsImport = [];
+  document.getElementById('icsEventTable').innerHTML = '';
+  document.getElementById('icsPreview').classList.add('hidden');
+}
+
+// Show the banner for a plan opened from a link, with the actions that apply
+function renderSharedPlan() {
+  const banner = document.getElementById('sharedPlanBanner');
+  banner.classList.toggle('hidden', !sharedPlan);
+  if (!sharedPlan) return;
+  document.getElementById('sharedPlanText').textContent = sharedPlan.viewing
+    ? 'You are viewing a shared plan. It is read-only and nothing is saved.'
+    : 'This link contains a shared plan.';
+  document.getElementById('viewSharedPlan').classList.toggle('hidden', sharedPlan.viewing);
+  document.getElementById('mergeSharedPlan').textContent = `Merge into “${activeProfile().name}”`;
+  document.getElementById('closeSharedPlan').textContent = sharedPlan.viewing ? 'Back to my plan' : 'Dismiss';
+}
+
+// Read a plan from the page's URL fragment and offer it in the banner. The
+// fragment is removed so a reload does not offer it again.
+async function openSharedLink() {
+  const param = sharedPlanParam(location.hash);
+  if (!param) return;
+  history.replaceState(null, '', location.pathname + location.search);
+  let decoded;
+  try {
+    decoded = await decodeSharedPlan(param);
+  } catch (err) {
+    return showStateErrors('The shared plan could not be opened', [{ path: '(link)', message: err.message }]);
+  }
+  const { data, errors } = checkState(decoded);
+  if (errors.length) return showStateErrors('The shared plan could not be opened', errors);
+  sharedPlan = { data: normalizeState(data), viewing: false };
+  renderSharedPlan();
+}
+
+// Leave the shared plan, going back to the active profile's own plan
+function closeSharedPlan() {
+  const viewing = sharedPlan && sharedPlan.viewing;
+  sharedPlan = null;
+  if (viewing) {
+    state = loadState();
+    clearCaches();
+  }
+  renderAll();
+  refreshForecastIfVisible();
+}
+
+// Undo or redo the last change to the active profile and redraw everything
+function undoRedo(direction) {
+  if (!stepHistory(direction)) return;
+  editingPTO = null;
+  editingCredit = null;
+  hideStateErrors();
+  renderAll();
+  refreshForecastIfVisible();
+}
+
+// Import every profile of an export bundle. Nothing is imported unless every
+// profile validates. Profiles whose name already exists are replaced after
+// confirmation; the others are added. Returns true when profiles were imported.
+function importBundle(bundle) {
+  if (!bundle.profiles.length) {
+    showStateErrors('Could not import the file', [{ path: 'profiles', message: 'must contain at least one profile' }]);
+    return false;
+  }
+  const errors = [];
+  const entries = bundle.profiles.map((p, i) => {
+    const { data, errors: problems } = checkState(p && p.state);
+    for (const e of problems) errors.push({ ...e, path: `profiles[${i}].state.${e.path}` });
+    return { name: String((p && p.name) || 'Imported plan'), data };
+  });
+  if (errors.length) {
+    showStateErrors('Could not import the file', errors);
+    return false;
+  }
+  const existing = entries.filter((p) => profiles.profiles.some((q) => q.name === p.name));
+  if (existing.length && !confirm(`Replace ${existing.length} existing profile(s) with the same name?`)) return false;
+  for (const entry of entries) {
+    const match = profiles.profiles.find((p) => p.name === entry.name);
+    if (match) {
+      const json = JSON.stringify(normalizeState(entry.data));
+      if (historyFor(match.id).saved === null) historyFor(match.id).saved = JSON.stringify(readState(match.id).state);
+      recordHistory(match.id, json);
+      writeState(match.id, json);
+    } else {
+      addProfile(entry.name, entry.data);
+    }
+  }
+  switchProfile(profiles.activeId);
+  settingsBankId = null;
+  return true;
+}
+
+// Follow changes another tab made to the stored profiles, so this tab shows
+// them instead of overwriting them with its older copy on the next save.
+// The other tab's version goes into the undo history like a local change.
+function handleStorageChange(event) {
+  if (event.storageArea && event.storageArea !== localStorage) return;
+  const previousId = profiles.activeId;
+  if (event.key === null || event.key === PROFILE_INDEX_KEY) {
+    // Stay on this tab's profile unless another tab deleted it
+    profiles = loadProfiles();
+    if (profiles.profiles.some((p) => p.id === previousId)) profiles.activeId = previousId;
+  }
+  if (profiles.activeId !== previousId) {
+    switchProfile(profiles.activeId);
+    settingsBankId = null;
+  } else if (event.key === null || event.key === stateKey(previousId)) {
+    const { state: stored, errors, backedUp } = readState(previousId);
+    const json = JSON.stringify(stored);
+    if (json === historyFor(previousId).saved) return renderSaveStatus();
+    recordHistory(previousId, json);
+    if (!(sharedPlan && sharedPlan.viewing)) state = stored;
+    clearCaches();
+    saveError = null;
+    savedFrom = 'in another tab';
+    if (errors.length) showStateErrors(`Data saved in another tab was invalid and has been repaired ${backupNote(backedUp)}`, errors);
+  } else if (event.key === savedAtKey(previousId)) {
+    return renderSaveStatus();
+  } else if (event.key === SYNC_KEY) {
+    // Another tab connected to or disconnected from a sync server
+    if ((remotePlans ? remotePlans.url : '') !== loadSyncSettings().url) startSync();
+    return renderSync();
+  } else if (event.key !== PROFILE_INDEX_KEY) {
+    return;
+  }
+  editingPTO = null;
+  editingCredit = null;
+  renderAll();
+  refreshForecastIfVisible();
+}
+
+// Cache the page for offline use and offer to install it as an app. Service
+// workers need http(s), so a page opened from a file works online only.
+function setUpOfflineApp() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.register('sw.js').catch((err) => console.warn('Offline support is unavailable:', err));
+  const install = document.getElementById('installApp');
+  let prompt = null;
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    prompt = e;
+    install.classList.remove('hidden');
+  });
+  window.addEventListener('appinstalled', () => {
+    prompt = null;
+    install.classList.add('hidden');
   });
+  install.addEventListener('click', async () => {
+    if (!prompt) return;
+    install.classList.add('hidden');
+    prompt.prompt();
+    await prompt.userChoice;
+    prompt = null;
+  });
+}
+
+// How a repaired-data message says what became of the original
+function backupNote(backedUp) {
+  return backedUp ? '(the original is kept as a backup)' : '(storage is full, so the original could not be kept as a backup)';
+}
+
+// Show field-level problems found in stored, imported or edited data
+function showStateErrors(title, errors) {
+  document.getElementById('stateErrorsTitle').textContent = title;
+  document.getElementById('stateErrorsList').innerHTML = errors
+    .map((e) => `<li><code>${e.path.replace(/</g, '&lt;')}</code> ${e.message.replace(/</g, '&lt;')}</li>`)
+    .join('');
+  document.getElementById('stateErrors').classList.remove('hidden');
+}
+
+function hideStateErrors() {
+  document.getElementById('stateErrors').classList.add('hidden');
+}
+
+// Redraw the forecast when its tab is showing
+function refreshForecastIfVisible() {
+  const forecast = document.getElementById('tab-Forecast');
+  if (!forecast.classList.contains('hidden')) drawCurrentForecast();
 }
 
 /* =========================
  * Chart drawing helpers
  * ========================= */
 
-function forecastSeries(startDate, days) {
-  const series = [];
-  for (let i = 0; i <= days; i++) {
-    const d = addDays(startDate, i);
-    series.push({ date: d, y: getBalanceOn(ymd(d)) });
-  }
-  return series;
+function forecastSeries(startDate, days, bankId) {
+  return ledgerSeries(ledgerFor(bankId, addDays(startDate, days)), startDate, days);
+}
+
+// Lines for the bank picked in the forecast controls: one bank, or all banks overlaid
+function forecastLines(startDate, days) {
+  const choice = document.getElementById('forecastBank').value;
+  const banks = choice === 'all' ? state.banks : [getBank(choice)];
+  const lines = banks.map((bank) => ({
+    label: bank.name,
+    color: bankColor(bank),
+    bankId: bank.id,
+    series: forecastSeries(startDate, days, bank.id),
+  }));
+  // Each visible scenario is overlaid as a dashed line per plotted bank
+  state.scenarios.forEach((scenario, i) => {
+    if (!scenario.visible) return;
+    for (const bank of banks) {
+      lines.push({
+        label: banks.length > 1 ? `${bank.name} · ${scenario.name}` : scenario.name,
+        color: SCENARIO_COLORS[i % SCENARIO_COLORS.length],
+        bankId: bank.id,
+        scenarioId: scenario.id,
+        dash: [5, 3],
+        series: withScenario(scenario, () => forecastSeries(startDate, days, bank.id)),
+      });
+    }
+  });
+  return lines;
 }
 
+// Size a canvas for drawing in CSS pixels. A canvas with `_size` set
+// ({ width, height, ratio }) is drawn at that size and pixel ratio instead of
+// its on-screen size and the screen's devicePixelRatio.
 function setupCanvas(canvas) {
   const ctx = canvas.getContext('2d');
-  const ratio = window.devicePixelRatio || 1;
-  const widthCss = canvas.clientWidth || 600;
-  const heightCss = canvas.clientHeight || 300;
+  const size = canvas._size || {};
+  const ratio = size.ratio || window.devicePixelRatio || 1;
+  const widthCss = size.width || canvas.clientWidth || 600;
+  const heightCss = size.height || canvas.clientHeight || 300;
   canvas.width = Math.floor(widthCss * ratio);
   canvas.height = Math.floor(heightCss * ratio);
   ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
@@ -498,14 +2745,18 @@ function setupCanvas(canvas) {
   return { ctx, widthCss, heightCss };
 }
 
-function drawLineChart(canvas, series) {
-  if (!canvas || !series.length) return;
+// Draw one or more lines ({ label, color, series }) sharing the same dates.
+// A legend is drawn when more than one line is plotted.
+function drawLineChart(canvas, lines) {
+  if (!canvas || !lines.length || !lines[0].series.length) return;
+  const series = lines[0].series;
   const { ctx, widthCss, heightCss } = setupCanvas(canvas);
   const pad = { l: 48, r: 12, t: 12, b: 28 };
   const W = Math.max(1, widthCss - pad.l - pad.r);
   const H = Math.max(1, heightCss - pad.t - pad.b);
-  let yMin = Math.min(...series.map((p) => p.y));
-  let yMax = Math.max(...series.map((p) => p.y));
+  const values = lines.flatMap((line) => line.series.map((p) => p.y));
+  let yMin = Math.min(...values);
+  let yMax = Math.max(...values);
   const padY = (yMax - yMin) * 0.05 || 1;
   yMin -= padY;
   yMax += padY;
@@ -533,11 +2784,13 @@ function drawLineChart(canvas, series) {
     ctx.stroke();
     ctx.fillText(val.toFixed(1), 4, y + 4);
   }
-  // Month separators and labels (display month/day and angle the text downward)
+  // Month separators and labels (display month/day and angle the text downward).
+  // Short spans are marked every Monday instead.
+  const weekly = series.length <= 62;
   for (let i = 0; i < series.length; i++) {
     const d = series[i].date;
     // Place tick at the first day of each month
-    if (d.getUTCDate() === 1) {
+    if (weekly ? d.getUTCDay() === 1 : d.getUTCDate() === 1) {
       const x = xs(i);
       // draw vertical grid line
       ctx.strokeStyle = '#f3f4f6';
@@ -548,7 +2801,8 @@ function drawLineChart(canvas, series) {
       // format label as M/D without the year and rotate it slightly
       const month = d.getUTCMonth() + 1;
       const day = d.getUTCDate();
-      const label = `${month}/${day}`;
+      // New years are labelled with the year so long horizons stay readable
+      const label = month === 1 && day === 1 ? String(d.getUTCFullYear()) : `${month}/${day}`;
       ctx.fillStyle = '#6b7280';
       ctx.save();
       // translate to the x position and below the chart, then rotate
@@ -558,79 +2812,549 @@ function drawLineChart(canvas, series) {
       ctx.restore();
     }
   }
-  // Line path
-  ctx.strokeStyle = '#111827';
+  const chart = { series, lines, pad, W, H, yMin, yMax };
+  markPTORanges(ctx, chart);
+  drawReferenceLines(ctx, chart);
+  // Line paths
   ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.moveTo(xs(0), ys(series[0].y));
-  for (let i = 1; i < series.length; i++) {
-    ctx.lineTo(xs(i), ys(series[i].y));
+  for (const line of lines) {
+    ctx.strokeStyle = line.color;
+    ctx.setLineDash(line.dash || []);
+    ctx.beginPath();
+    ctx.moveTo(xs(0), ys(line.series[0].y));
+    for (let i = 1; i < line.series.length; i++) {
+      ctx.lineTo(xs(i), ys(line.series[i].y));
+    }
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  // Legend
+  if (lines.length > 1) {
+    let x = pad.l + 8;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (const line of lines) {
+      ctx.fillStyle = line.color;
+      ctx.fillRect(x, pad.t + 4, 10, 10);
+      ctx.fillStyle = '#374151';
+      ctx.fillText(line.label, x + 14, pad.t + 9);
+      x += 24 + ctx.measureText(line.label).width;
+    }
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
   }
-  ctx.stroke();
   // Save for hover interactions and payday labeling
-  canvas._forecastData = { series, pad, W, H, yMin, yMax };
+  canvas._forecastData = chart;
+}
+
+// Shade the PTO ranges of each plotted plan line behind the lines
+function markPTORanges(ctx, chart) {
+  const { series, lines, pad, W, H } = chart;
+  const first = ymd(series[0].date);
+  const last = ymd(series[series.length - 1].date);
+  const step = W / Math.max(1, series.length - 1);
+  const xs = (i) => pad.l + i * step;
+  for (const line of lines) {
+    if (line.scenarioId) continue;
+    ctx.fillStyle = `${line.color}1f`;
+    for (const r of bankEntries(plannedPTO(), getBank(line.bankId))) {
+      if (r.to < first || r.from > last) continue;
+      const from = Math.max(0, daysBetween(series[0].date, toDateOnlyUTC(r.from)));
+      const to = Math.min(series.length - 1, daysBetween(series[0].date, toDateOnlyUTC(r.to)));
+      const x0 = Math.max(pad.l, xs(from) - step / 2);
+      const x1 = Math.min(pad.l + W, xs(to) + step / 2);
+      ctx.fillRect(x0, pad.t, Math.max(1, x1 - x0), H);
+    }
+  }
+}
+
+// Draw the zero line and each plotted bank's floor when they fall in range
+function drawReferenceLines(ctx, chart) {
+  const { lines, pad, W, H, yMin, yMax } = chart;
+  const ys = (v) => pad.t + (1 - (v - yMin) / (yMax - yMin || 1)) * H;
+  const rule = (value, color, dash, label) => {
+    if (value < yMin || value > yMax) return;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    ctx.moveTo(pad.l, ys(value));
+    ctx.lineTo(pad.l + W, ys(value));
+    ctx.stroke();
+    if (label) {
+      ctx.fillStyle = color;
+      ctx.textAlign = 'right';
+      ctx.fillText(label, pad.l + W - 2, ys(value) - 3);
+    }
+    ctx.restore();
+  };
+  rule(0, '#9ca3af', [], '');
+  const floors = new Set();
+  for (const line of lines) {
+    const floor = Number(getBank(line.bankId).balanceFloor) || 0;
+    if (line.scenarioId || !floor || floors.has(floor)) continue;
+    floors.add(floor);
+    rule(floor, '#ef4444', [2, 3], `floor ${fmt(floor)}`);
+  }
+}
+
+// Mark each plan line's credits with a small triangle on the line
+function markCredits(canvas) {
+  if (!canvas || !canvas._forecastData) return;
+  const { series, lines, pad, W, H, yMin, yMax } = canvas._forecastData;
+  const ctx = canvas.getContext('2d');
+  const xs = (i) => pad.l + (i / Math.max(1, series.length - 1)) * W;
+  const ys = (v) => pad.t + (1 - (v - yMin) / (yMax - yMin || 1)) * H;
+  ctx.fillStyle = '#059669';
+  for (const line of lines) {
+    if (line.scenarioId) continue;
+    for (const c of bankEntries(plannedCredits(), getBank(line.bankId))) {
+      const idx = daysBetween(series[0].date, toDateOnlyUTC(c.date));
+      if (idx < 0 || idx >= line.series.length) continue;
+      const x = xs(idx);
+      const y = ys(line.series[idx].y);
+      ctx.beginPath();
+      ctx.moveTo(x, y - 11);
+      ctx.lineTo(x - 4, y - 4);
+      ctx.lineTo(x + 4, y - 4);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
 }
 
-function labelPaydays(canvas, seriesStart, series) {
+// Mark each plan line's paydays; values are labelled only when a single line is shown
+function labelPaydays(canvas, seriesStart) {
   if (!canvas || !canvas._forecastData) return;
-  const { pad, W, H, yMin, yMax } = canvas._forecastData;
+  const { series, lines, pad, W, H, yMin, yMax } = canvas._forecastData;
   const ctx = canvas.getContext('2d');
   const xs = (i) => pad.l + (i / Math.max(1, series.length - 1)) * W;
   const ys = (v) => pad.t + (1 - (v - yMin) / (yMax - yMin || 1)) * H;
   const endDate = addDays(seriesStart, series.length - 1);
-  const paydays = getPaydaysBetween(seriesStart, endDate, toDateOnlyUTC(state.firstPayday), state.payFrequencyDays);
-  ctx.fillStyle = '#111827';
   ctx.textAlign = 'center';
   ctx.textBaseline = 'bottom';
   ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
-  for (const pay of paydays) {
-    const idx = daysBetween(seriesStart, pay);
-    if (idx < 0 || idx >= series.length) continue;
-    const x = xs(idx);
-    const y = ys(series[idx].y);
+  for (const line of lines) {
+    if (line.scenarioId) continue;
+    const paydays = getPaydaysBetween(seriesStart, endDate, accrualRules(getBank(line.bankId)));
+    ctx.fillStyle = line.color;
+    for (const pay of paydays) {
+      const idx = daysBetween(seriesStart, pay);
+      if (idx < 0 || idx >= line.series.length) continue;
+      const x = xs(idx);
+      const y = ys(line.series[idx].y);
+      ctx.beginPath();
+      ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+      if (lines.length > 1) continue;
+      // Display whole hours rounded down (floor) for accrual labels
+      const wholeHours = Math.floor(line.series[idx].y);
+      ctx.fillText(String(wholeHours), x, y - 6);
+    }
+  }
+}
+
+// Draw each line's balance cap, forfeiture markers at resets and the days an
+// accrual was lost at the cap
+function markBalanceLosses(canvas) {
+  if (!canvas || !canvas._forecastData) return;
+  const { lines, pad, W, H, yMin, yMax } = canvas._forecastData;
+  const ctx = canvas.getContext('2d');
+  const ys = (v) => pad.t + (1 - (v - yMin) / (yMax - yMin || 1)) * H;
+  for (const line of lines) {
+    if (line.scenarioId) continue;
+    const cap = policyLimit(getBank(line.bankId).balanceCap);
+    if (cap === null || cap < yMin || cap > yMax) continue;
+    ctx.save();
+    ctx.strokeStyle = lines.length > 1 ? line.color : '#f59e0b';
+    ctx.setLineDash([6, 4]);
     ctx.beginPath();
-    ctx.arc(x, y, 2.5, 0, Math.PI * 2);
-    ctx.fill();
-    // Display whole hours rounded down (floor) for accrual labels
-    const wholeHours = Math.floor(series[idx].y);
-    ctx.fillText(String(wholeHours), x, y - 6);
+    ctx.moveTo(pad.l, ys(cap));
+    ctx.lineTo(pad.l + W, ys(cap));
+    ctx.stroke();
+    ctx.restore();
   }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+  for (const line of lines) markLineLosses(ctx, canvas._forecastData, line.series);
+}
+
+function markLineLosses(ctx, chart, series) {
+  const { pad, W, H, yMin, yMax } = chart;
+  const xs = (i) => pad.l + (i / Math.max(1, series.length - 1)) * W;
+  const ys = (v) => pad.t + (1 - (v - yMin) / (yMax - yMin || 1)) * H;
+  series.forEach((p, i) => {
+    if (p.capLost) {
+      ctx.fillStyle = '#f59e0b';
+      ctx.beginPath();
+      ctx.arc(xs(i), ys(p.y), 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    if (p.forfeit) {
+      ctx.fillStyle = '#dc2626';
+      ctx.beginPath();
+      ctx.arc(xs(i), ys(p.y), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(`−${p.forfeit.toFixed(1)}`, xs(i), ys(p.y) + 6);
+    }
+  });
 }
 
+// Summarize forfeited hours and accruals lost at the cap below the chart
+function renderForecastLosses(lines) {
+  const el = document.getElementById('forecastLosses');
+  const withPolicy = lines.filter((line) => hasBalancePolicy(getBank(line.bankId)));
+  el.classList.toggle('hidden', !withPolicy.length);
+  el.textContent = withPolicy
+    .map((line) => {
+      const forfeit = line.series.reduce((sum, p) => sum + (p.forfeit || 0), 0);
+      const capLost = line.series.reduce((sum, p) => sum + (p.capLost || 0), 0);
+      const prefix = lines.length > 1 ? `${line.label}: ` : 'Over this forecast: ';
+      return `${prefix}${fmt(forfeit)} forfeited at reset, ${fmt(capLost)} of accrual lost at the cap.`;
+    })
+    .join(' ');
+}
+
+// Show the values under a mouse, pen or touch pointer. Only a press or tap
+// is announced to screen readers; moving the pointer just updates the text.
 function handleHover(event, canvas, hoverId) {
   if (!canvas || !canvas._forecastData) return;
   const { series, pad, W } = canvas._forecastData;
   const rect = canvas.getBoundingClientRect();
   const xCss = event.clientX - rect.left;
   const idx = Math.round(((xCss - pad.l) / W) * (series.length - 1));
-  const i = Math.max(0, Math.min(idx, series.length - 1));
-  const p = series[i];
+  showChartPoint(canvas, Math.max(0, Math.min(idx, series.length - 1)), hoverId, event.type === 'pointerdown');
+}
+
+// PTO ranges and credits of the plotted plan banks that fall on a date
+function chartEventNotes(lines, key) {
+  const notes = [];
+  for (const line of lines) {
+    if (line.scenarioId) continue;
+    const bank = getBank(line.bankId);
+    const prefix = lines.length > 1 ? `${bank.name} ` : '';
+    for (const r of bankEntries(plannedPTO(), bank)) {
+      if (r.from <= key && r.to >= key) notes.push(`${prefix}PTO ${r.from} – ${r.to}${r.note ? `: ${r.note}` : ''}`);
+    }
+    for (const c of bankEntries(plannedCredits(), bank)) {
+      if (c.date === key) notes.push(`${prefix}credit +${fmt(Number(c.hours) || 0)}${c.note ? `: ${c.note}` : ''}`);
+    }
+  }
+  return notes;
+}
+
+// Write the values at index `i` of the drawn series to the chart's readout,
+// and to the screen reader announcement when `announce` is set
+function showChartPoint(canvas, i, hoverId, announce) {
+  const { series, lines } = canvas._forecastData;
   const hoverEl = document.getElementById(hoverId);
-  if (hoverEl) hoverEl.textContent = `${p.date.toISOString().slice(0, 10)} → ${p.y.toFixed(2)} h`;
+  const parts = lines.map((line) => {
+    const p = line.series[i];
+    let text = lines.length > 1 ? `${line.label} ${p.y.toFixed(2)} h` : `${p.y.toFixed(2)} h`;
+    const plan = line.scenarioId && lines.find((l) => !l.scenarioId && l.bankId === line.bankId);
+    if (plan) {
+      const diff = p.y - plan.series[i].y;
+      text += ` (${diff >= 0 ? '+' : ''}${diff.toFixed(2)} vs plan)`;
+    }
+    if (p.forfeit) text += ` (${p.forfeit.toFixed(2)} h forfeited at reset)`;
+    if (p.capLost) text += ` (${p.capLost.toFixed(2)} h accrual lost at cap)`;
+    return text;
+  });
+  const key = ymd(series[i].date);
+  parts.push(...chartEventNotes(lines, key));
+  const text = `${key} → ${parts.join(' · ')}`;
+  if (hoverEl) hoverEl.textContent = text;
+  if (announce) document.getElementById('forecastAnnounce').textContent = text;
 }
 
-function drawForecastYear() {
+// Forecast horizons in months from today
+const FORECAST_HORIZONS = { '3m': 3, '6m': 6, '1y': 12, '2y': 24 };
+
+// Smallest number of days a zoomed chart shows
+const MIN_ZOOM_DAYS = 7;
+
+// Longest custom horizon, in days (ten years)
+const MAX_FORECAST_DAYS = 10 * 366;
+
+// Last horizon that was drawn, kept while the custom dates are invalid
+let lastForecastRange = null;
+
+// Problem with the custom horizon dates, or null when they can be plotted
+function customRangeError(fromValue, toValue) {
+  if (!isDateString(fromValue) || !isDateString(toValue)) return 'Enter both a from and a to date.';
+  const days = daysBetween(toDateOnlyUTC(fromValue), toDateOnlyUTC(toValue));
+  if (days < MIN_ZOOM_DAYS) return `The "to" date must be at least ${MIN_ZOOM_DAYS} days after the "from" date.`;
+  if (days > MAX_FORECAST_DAYS) return 'A forecast can cover at most ten years.';
+  return null;
+}
+
+// Start date and length in days of the horizon picked in the forecast
+// controls. Invalid custom dates are reported next to them and the last
+// horizon drawn is kept.
+function forecastRange() {
   const today = clampDate(new Date());
-  const series = forecastSeries(today, 365);
-  const canvas = document.getElementById('forecastCanvasYear');
-  drawLineChart(canvas, series);
-  labelPaydays(canvas, today, series);
-  canvas.onmousemove = (ev) => handleHover(ev, canvas, 'forecastHoverYear');
+  const choice = document.getElementById('forecastHorizon').value;
+  const fromValue = document.getElementById('forecastFrom').value;
+  const toValue = document.getElementById('forecastTo').value;
+  const error = choice === 'custom' ? customRangeError(fromValue, toValue) : null;
+  const errorEl = document.getElementById('forecastRangeError');
+  const message = error ? `${error} Showing ${lastForecastRange ? 'the previous horizon' : 'one year'} until then.` : '';
+  // Only a changed message is written, so redraws do not repeat the alert
+  if (errorEl.textContent !== message) errorEl.textContent = message;
+  errorEl.classList.toggle('hidden', !error);
+  if (choice === 'custom') {
+    if (error && lastForecastRange) return lastForecastRange;
+    if (!error) {
+      const from = toDateOnlyUTC(fromValue);
+      lastForecastRange = { start: from, days: daysBetween(from, toDateOnlyUTC(toValue)) };
+      return lastForecastRange;
+    }
+  }
+  const months = FORECAST_HORIZONS[choice] || 12;
+  const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + months, today.getUTCDate()));
+  lastForecastRange = { start: today, days: daysBetween(today, end) };
+  return lastForecastRange;
+}
+
+// Plot lines on a forecast canvas. The zoomed view (indexes into the series)
+// is kept when the same dates are redrawn, e.g. after a resize.
+function drawForecastChart(canvas, lines, hoverId) {
+  const previous = canvas._chart;
+  const last = lines[0].series.length - 1;
+  const same = previous && previous.last === last && +previous.lines[0].series[0].date === +lines[0].series[0].date;
+  canvas._chart = { lines, hoverId, last, from: same ? previous.from : 0, to: same ? previous.to : last, cursor: same ? previous.cursor : null };
+  wireChartZoom(canvas);
+  wireChartKeys(canvas);
+  redrawChart(canvas);
+}
+
+// Draw the visible part of a forecast chart with its markers
+function redrawChart(canvas) {
+  const chart = canvas._chart;
+  const lines = chart.lines.map((line) => ({ ...line, series: line.series.slice(chart.from, chart.to + 1) }));
+  drawLineChart(canvas, lines);
+  labelPaydays(canvas, lines[0].series[0].date);
+  markBalanceLosses(canvas);
+  markCredits(canvas);
+  drawChartCursor(canvas);
+  canvas.onpointermove = (ev) => handleHover(ev, canvas, chart.hoverId);
+  canvas.onpointerdown = (ev) => handleHover(ev, canvas, chart.hoverId);
+  const names = chart.lines.map((line) => line.label).join(', ');
+  canvas.setAttribute(
+    'aria-label',
+    `Forecast balance of ${names} from ${ymd(lines[0].series[0].date)} to ${ymd(lines[0].series[lines[0].series.length - 1].date)}. ` +
+      'Arrow keys step one day, Shift with an arrow key steps to the next payday, Home and End jump to the ends.'
+  );
+}
+
+// Draw the keyboard cursor as a vertical rule when it is in view
+function drawChartCursor(canvas) {
+  const { cursor, from, to } = canvas._chart;
+  if (cursor === null || cursor < from || cursor > to) return;
+  const { pad, W, H } = canvas._forecastData;
+  const x = pad.l + ((cursor - from) / Math.max(1, to - from)) * W;
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.strokeStyle = '#111827';
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(x, pad.t);
+  ctx.lineTo(x, pad.t + H);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Series index the keyboard cursor moves to for a key, or null for other keys
+function chartKeyTarget(chart, key, shiftKey) {
+  const cursor = chart.cursor === null ? chart.from : chart.cursor;
+  const dates = chart.lines[0].series.map((p) => p.date);
+  if (key === 'Home') return 0;
+  if (key === 'End') return chart.last;
+  if (key !== 'ArrowLeft' && key !== 'ArrowRight') return null;
+  const dir = key === 'ArrowRight' ? 1 : -1;
+  if (!shiftKey) return Math.max(0, Math.min(chart.last, cursor + dir));
+  // Step to the previous or next payday of the first plotted plan bank
+  const plan = chart.lines.find((line) => !line.scenarioId) || chart.lines[0];
+  const paydays = getPaydaysBetween(dates[0], dates[chart.last], accrualRules(getBank(plan.bankId)))
+    .map((pay) => daysBetween(dates[0], pay))
+    .filter((idx) => (dir > 0 ? idx > cursor : idx < cursor));
+  if (!paydays.length) return cursor;
+  return dir > 0 ? Math.min(...paydays) : Math.max(...paydays);
+}
+
+// Arrow keys move a cursor through the days or paydays and announce its values
+function wireChartKeys(canvas) {
+  if (canvas._keysWired) return;
+  canvas._keysWired = true;
+  canvas.addEventListener('keydown', (e) => {
+    const chart = canvas._chart;
+    const target = chartKeyTarget(chart, e.key, e.shiftKey);
+    if (target === null) return;
+    e.preventDefault();
+    chart.cursor = target;
+    // Pan so the cursor stays in view
+    const span = chart.to - chart.from;
+    if (target < chart.from) chart.from = target;
+    if (target > chart.to) chart.from = target - span;
+    chart.to = chart.from + span;
+    redrawChart(canvas);
+    showChartPoint(canvas, target - chart.from, chart.hoverId, true);
+  });
+  canvas.addEventListener('blur', () => {
+    canvas._chart.cursor = null;
+    redrawChart(canvas);
+  });
+}
+
+// Series index under a screen x position on a chart
+function chartIndexAt(canvas, clientX) {
+  const { pad, W } = canvas._forecastData;
+  const { from, to } = canvas._chart;
+  const x = clientX - canvas.getBoundingClientRect().left;
+  return from + Math.max(0, Math.min(1, (x - pad.l) / W)) * (to - from);
+}
+
+// Show a span of the series scaled by `factor` around an index, starting
+// from the given view
+function zoomChart(canvas, factor, center, view = canvas._chart) {
+  const chart = canvas._chart;
+  const span = view.to - view.from;
+  const next = Math.max(Math.min(MIN_ZOOM_DAYS, chart.last), Math.min(chart.last, Math.round(span * factor)));
+  const ratio = span ? (center - view.from) / span : 0;
+  chart.from = Math.max(0, Math.min(chart.last - next, Math.round(center - ratio * next)));
+  chart.to = chart.from + next;
+  redrawChart(canvas);
+}
+
+// Move the view of a chart by a number of days from the given view
+function panChart(canvas, shift, view) {
+  const chart = canvas._chart;
+  const span = view.to - view.from;
+  chart.from = Math.max(0, Math.min(chart.last - span, view.from + shift));
+  chart.to = chart.from + span;
+  redrawChart(canvas);
+}
+
+// Wheel and pinch zoom, drag to pan, and double-click to show everything
+function wireChartZoom(canvas) {
+  if (canvas._zoomWired) return;
+  canvas._zoomWired = true;
+  canvas.style.touchAction = 'pan-y';
+  const pointers = new Map();
+  let gesture = null;
+  // Remember where a drag or pinch started, relative to the current view
+  const startGesture = () => {
+    const xs = [...pointers.values()];
+    const { from, to } = canvas._chart;
+    gesture = { x: xs[0], spread: xs.length > 1 ? Math.abs(xs[0] - xs[1]) : 0, view: { from, to } };
+  };
+  canvas.addEventListener(
+    'wheel',
+    (e) => {
+      e.preventDefault();
+      zoomChart(canvas, e.deltaY < 0 ? 0.8 : 1.25, chartIndexAt(canvas, e.clientX));
+    },
+    { passive: false }
+  );
+  canvas.addEventListener('pointerdown', (e) => {
+    if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, e.clientX);
+    startGesture();
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId) || !gesture) return;
+    pointers.set(e.pointerId, e.clientX);
+    const xs = [...pointers.values()];
+    const { W } = canvas._forecastData;
+    const span = gesture.view.to - gesture.view.from;
+    if (xs.length > 1 && gesture.spread) {
+      const spread = Math.abs(xs[0] - xs[1]);
+      if (spread) zoomChart(canvas, gesture.spread / spread, chartIndexAt(canvas, (xs[0] + xs[1]) / 2), gesture.view);
+    } else if (xs.length === 1) {
+      panChart(canvas, Math.round(((gesture.x - xs[0]) / W) * span), gesture.view);
+    }
+  });
+  const end = (e) => {
+    pointers.delete(e.pointerId);
+    if (pointers.size) startGesture();
+    else gesture = null;
+  };
+  canvas.addEventListener('pointerup', end);
+  canvas.addEventListener('pointercancel', end);
+  canvas.addEventListener('dblclick', () => {
+    canvas._chart.from = 0;
+    canvas._chart.to = canvas._chart.last;
+    redrawChart(canvas);
+  });
+}
+
+function drawForecastYear() {
+  const { start, days } = forecastRange();
+  const lines = forecastLines(start, days);
+  drawForecastChart(document.getElementById('forecastCanvasYear'), lines, 'forecastHoverYear');
+  renderForecastLosses(lines);
+  renderForecastTable(lines);
 }
 
+// Draw the horizon as two halves side by side
 function drawForecastSplit() {
-  const today = clampDate(new Date());
-  const mid = addDays(today, 182);
-  const s1 = forecastSeries(today, 182);
-  const s2 = forecastSeries(mid, 365 - 182);
-  const c1 = document.getElementById('forecastCanvasH1');
-  const c2 = document.getElementById('forecastCanvasH2');
-  drawLineChart(c1, s1);
-  labelPaydays(c1, today, s1);
-  c1.onmousemove = (ev) => handleHover(ev, c1, 'forecastHoverH1');
-  drawLineChart(c2, s2);
-  labelPaydays(c2, mid, s2);
-  c2.onmousemove = (ev) => handleHover(ev, c2, 'forecastHoverH2');
+  const { start, days } = forecastRange();
+  const half = Math.floor(days / 2);
+  const mid = addDays(start, half);
+  const l1 = forecastLines(start, half);
+  const l2 = forecastLines(mid, days - half);
+  document.getElementById('forecastH1Label').textContent = `${ymd(start)} – ${ymd(mid)}`;
+  document.getElementById('forecastH2Label').textContent = `${ymd(mid)} – ${ymd(addDays(start, days))}`;
+  drawForecastChart(document.getElementById('forecastCanvasH1'), l1, 'forecastHoverH1');
+  drawForecastChart(document.getElementById('forecastCanvasH2'), l2, 'forecastHoverH2');
+  const lines = l1.map((line, i) => ({ ...line, series: [...line.series, ...l2[i].series.slice(1)] }));
+  renderForecastLosses(lines);
+  renderForecastTable(lines);
+}
+
+// Fill the table view with the lowest, highest and end balance of each line
+// and one row per day. Skipped while the table is hidden.
+function renderForecastTable(lines) {
+  if (document.getElementById('forecastTableWrap').classList.contains('hidden')) return;
+  const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const { series } = lines[0];
+  document.getElementById('forecastTableSummary').innerHTML = lines
+    .map((line) => {
+      const low = line.series.reduce((a, b) => (b.y < a.y ? b : a));
+      const high = line.series.reduce((a, b) => (b.y > a.y ? b : a));
+      const end = line.series[line.series.length - 1];
+      return `<li><span class="font-medium">${esc(line.label)}:</span> lowest ${fmt(low.y)} on ${ymd(low.date)}, highest ${fmt(high.y)} on ${ymd(high.date)}, ${fmt(end.y)} at the end on ${ymd(end.date)}</li>`;
+    })
+    .join('');
+  document.getElementById('forecastTableHead').innerHTML = `
+    <tr class="text-left text-gray-600">
+      <th scope="col" class="py-2">Date</th>
+      ${lines.map((line) => `<th scope="col" class="py-2 text-right">${esc(line.label)}</th>`).join('')}
+      <th scope="col" class="py-2 pl-3">Events</th>
+    </tr>`;
+  document.getElementById('forecastTableBody').innerHTML = series
+    .map((p, i) => {
+      const key = ymd(p.date);
+      return `
+      <tr class="border-t">
+        <th scope="row" class="py-1 text-left font-normal">${key}</th>
+        ${lines.map((line) => `<td class="py-1 text-right">${line.series[i].y.toFixed(2)}</td>`).join('')}
+        <td class="py-1 pl-3">${esc(chartEventNotes(lines, key).join(' · '))}</td>
+      </tr>`;
+    })
+    .join('');
+}
+
+// Show or hide the table view of the forecast
+function toggleForecastTable() {
+  const wrap = document.getElementById('forecastTableWrap');
+  const show = wrap.classList.contains('hidden');
+  wrap.classList.toggle('hidden', !show);
+  const btn = document.getElementById('forecastTableToggle');
+  btn.setAttribute('aria-pressed', String(show));
+  btn.textContent = show ? 'Hide table' : 'Table';
+  if (show) drawCurrentForecast();
 }
 
 function drawCurrentForecast() {
@@ -638,46 +3362,131 @@ function drawCurrentForecast() {
   else drawForecastYear();
 }
 
+// Download the whole forecast horizon (both halves in split mode) with the
+// daily flows of each plotted bank and the balance of each scenario line
 function exportForecastCsv() {
-  const canvas = document.body.dataset.mode === 'split' ? document.getElementById('forecastCanvasH1') : document.getElementById('forecastCanvasYear');
-  if (!canvas || !canvas._forecastData) return;
-  const { series } = canvas._forecastData;
-  const rows = ['date,hours', ...series.map((p) => `${p.date.toISOString().slice(0, 10)},${p.y.toFixed(2)}`)];
-  const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'vacation_forecast.csv';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  const { start, days } = forecastRange();
+  const lines = forecastLines(start, days);
+  const bankIds = lines.filter((line) => !line.scenarioId).map((line) => line.bankId);
+  const csv = forecastCsv(start, days, bankIds, lines.filter((line) => line.scenarioId));
+  downloadFile(`vacation_forecast_${ymd(start)}.csv`, csv, 'text/csv');
 }
 
 /* =========================
- * Initialization & testing
+ * Report export
  * ========================= */
 
-function runTests() {
-  // Basic sanity tests for paydays and weekdays
-  const assert = (name, cond) => {
-    if (!cond) console.error('Test failed:', name);
-    else console.log('Test passed:', name);
-  };
-  assert('Next payday after 2026-01-01 is 2026-01-08', ymd(nextPaydayOnOrAfter(new Date(Date.UTC(2026, 0, 1)), new Date(Date.UTC(2026, 0, 8)), 14)) === '2026-01-08');
-  assert('Count paydays between 2026-01-08 and 2026-01-22 is 2', countPaydays(new Date(Date.UTC(2026, 0, 8)), new Date(Date.UTC(2026, 0, 22)), 14) === 2);
-  assert('Weekdays from 2026-01-05 to 2026-01-09 is 5', weekdaysBetweenInclusive(new Date(Date.UTC(2026, 0, 5)), new Date(Date.UTC(2026, 0, 9))) === 5);
-  assert('Balance on 2026-01-05 equals initial balance', Math.abs(getBalanceOn('2026-01-05') - state.startBalance) < 1e-6);
+// Printed charts are drawn at 300 dpi; CSS pixels are 1/96 inch
+const PRINT_DPI = 300;
+const PRINT_CHART_SIZE = { width: 960, height: 400, ratio: PRINT_DPI / 96 };
+
+// Draw the forecast for the selected horizon and banks on an offscreen canvas
+// at print resolution
+function renderPrintChart() {
+  const { start, days } = forecastRange();
+  const lines = forecastLines(start, days);
+  const canvas = document.createElement('canvas');
+  canvas._size = PRINT_CHART_SIZE;
+  canvas._chart = { lines, last: days, from: 0, to: days, cursor: null };
+  redrawChart(canvas);
+  return canvas;
+}
+
+// Download the print-resolution forecast chart as a PNG
+function exportChartPng() {
+  renderPrintChart().toBlob((blob) => downloadFile(`vacation_forecast_${ymd(clampDate(new Date()))}.png`, blob, 'image/png'));
+}
+
+// Fill the print-only report with the settings, dashboard numbers, PTO and
+// credit tables and the forecast chart
+function buildReport() {
+  const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const today = clampDate(new Date());
+  const { start, days } = forecastRange();
+  const table = (headers, rows) => `
+    <table class="w-full text-sm mb-4">
+      <thead><tr class="text-left text-gray-600">${headers.map((h) => `<th class="py-1 pr-3">${h}</th>`).join('')}</tr></thead>
+      <tbody>${rows.length ? rows.map((row) => `<tr class="border-t">${row.map((cell) => `<td class="py-1 pr-3">${cell}</td>`).join('')}</tr>`).join('') : `<tr class="border-t"><td class="py-1 text-gray-500" colspan="${headers.length}">None</td></tr>`}</tbody>
+    </table>`;
+  const limit = (value) => (policyLimit(value) === null ? '—' : fmt(policyLimit(value)));
+  const settingsRows = state.banks.map((bank) => {
+    const rule = accrualRules(bank)[0];
+    return [
+      esc(bank.name),
+      fmt(Number(bank.startBalance) || 0),
+      fmt(Number(bank.accrualPerPeriod) || 0),
+      esc(describePaySchedule(rule)),
+      limit(bank.balanceCap),
+      limit(bank.carryoverLimit),
+      fmt(Number(bank.balanceFloor) || 0),
+      bank.resetDate || '01-01',
+    ];
+  });
+  const dashboardRows = state.banks.map((bank) => {
+    const latest = latestPTODate(bank.id);
+    return [
+      esc(bank.name),
+      fmt(getBalanceOn(ymd(today), bank.id)),
+      `${fmt(getBalanceOn(ymd(latest || today), bank.id))}${latest ? ` (${ymd(latest)})` : ''}`,
+      fmt(totalFuturePTO(ymd(today), bank.id)),
+    ];
+  });
+  const ptoRows = state.ptoRanges
+    .slice()
+    .sort((a, b) => a.from.localeCompare(b.from))
+    .map((r) => [r.from, r.to, esc(getBank(r.bank).name), fmt(ptoRangeHours(r)), esc(r.note || '')]);
+  const creditRows = state.credits
+    .slice()
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((c) => [c.date, esc(getBank(c.bank).name), fmt(Number(c.hours) || 0), esc(c.note || '')]);
+  const recurringRows = state.recurring.map((r) => [
+    describeRecurrence(r),
+    r.kind === 'credit' ? 'Credit' : 'PTO',
+    esc(getBank(r.bank).name),
+    r.hours === null || r.hours === undefined ? 'Scheduled' : fmt(Number(r.hours)),
+    esc(r.note || ''),
+  ]);
+  document.getElementById('report').innerHTML = `
+    <h1 class="text-2xl font-bold">Vacation plan — ${esc(activeProfile().name)}</h1>
+    <p class="text-sm text-gray-600 mb-4">Prepared ${ymd(today)}. Balances start from ${state.startDate}.</p>
+    <h2 class="text-lg font-semibold">Balances</h2>
+    ${table(['Bank', 'Balance today', 'After latest planned PTO', 'Total planned PTO (future)'], dashboardRows)}
+    <h2 class="text-lg font-semibold">Forecast ${ymd(start)} – ${ymd(addDays(start, days))}</h2>
+    <img src="${renderPrintChart().toDataURL('image/png')}" alt="Forecast balance chart" style="width:100%;height:auto" class="mb-4" />
+    <h2 class="text-lg font-semibold">Planned PTO</h2>
+    ${table(['From', 'To', 'Bank', 'Hours', 'Note'], ptoRows)}
+    <h2 class="text-lg font-semibold">Credits</h2>
+    ${table(['Date', 'Bank', 'Hours', 'Note'], creditRows)}
+    <h2 class="text-lg font-semibold">Recurring PTO &amp; credits</h2>
+    ${table(['Repeats', 'Type', 'Bank', 'Hours', 'Note'], recurringRows)}
+    <h2 class="text-lg font-semibold">Settings</h2>
+    ${table(['Bank', 'Start balance', 'Accrual per period', 'Pay schedule', 'Cap', 'Carryover', 'Floor', 'Reset (MM-DD)'], settingsRows)}
+  `;
+}
+
+// Open the browser's print dialog on the report
+function printReport() {
+  buildReport();
+  window.print();
 }
 
+/* =========================
+ * Initialization
+ * ========================= */
+
 function init() {
   // default mode to year if not set
   if (!document.body.dataset.mode) document.body.dataset.mode = 'year';
+  setScheduleWeekInputs('scheduleA', STANDARD_WEEK);
+  setScheduleWeekInputs('scheduleB', STANDARD_WEEK);
+  if (stateLoadErrors.length) showStateErrors(`Some saved data was invalid and has been repaired ${backupNote(stateBackedUp)}`, stateLoadErrors);
   renderAll();
   wireUIEvents();
   // Show forecast page on first load
   switchTab('Forecast');
-  runTests();
+  openSharedLink();
+  setUpOfflineApp();
+  startSync();
 }
 
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
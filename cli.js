@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/*
+ * Vacation Balance Planner — cli.js
+ *
+ * Command-line access to a plan exported from the page
+ * (vacation_planner_state.json): the balance on a date, the next payday,
+ * the daily forecast as CSV or JSON, and adding PTO or credits to the file.
+ * All calculations come from core.js, so the answers match the page.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const {
+  fmt, ymd, toDateOnlyUTC, clampDate, addDays, daysBetween, isDateString, BUNDLE_TYPE,
+  validateState, checkState, normalizeState, ptoRangeError, FORECAST_DAYS, describeBalanceCheck,
+  createPlanner,
+} = require('./core.js');
+
+// Plan file read when --file is not given, as named by the page's export
+const DEFAULT_FILE = 'vacation_planner_state.json';
+
+// Exit codes: success, a missing or invalid plan file, a bad command line,
+// and PTO refused because it would take the balance below the bank's floor
+const EXIT = { ok: 0, invalidPlan: 1, usage: 2, belowFloor: 3 };
+
+// Longest forecast the CLI builds, about ten years
+const MAX_FORECAST_DAYS = 10 * 366;
+
+const USAGE = `Usage: vacation-planner <command> [options]
+
+Commands:
+  balance       Balance of a bank on a date
+  next-payday   First payday of a bank on or after a date
+  forecast      Daily forecast over a date range as CSV or JSON
+  add-pto       Add a PTO range to the plan file
+  add-credit    Add a credit to the plan file
+
+Options:
+  -f, --file <path>   Plan file (default: ./${DEFAULT_FILE})
+  -b, --bank <bank>   Bank id or name (default: the first bank; forecast: every bank)
+  -d, --date <date>   Date for balance, next-payday and add-credit (default: today)
+      --from <date>   Start of the forecast (default: today) or of the PTO range
+      --to <date>     End of the forecast (default: a year after --from) or of the PTO range
+      --hours <n>     Total hours of the PTO range (default: the scheduled hours) or of the credit
+      --note <text>   Note on the added PTO range or credit
+      --format <fmt>  Forecast output: csv (default) or json
+      --json          Print balance and next-payday results as JSON
+      --force         Add PTO even when the balance would drop below the bank's floor
+  -h, --help          Show this help
+
+Dates are YYYY-MM-DD. Exit codes: 0 success, 1 missing or invalid plan file,
+2 bad command or options, 3 PTO not added because of the balance floor.
+`;
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f' },
+  bank: { type: 'string', short: 'b' },
+  date: { type: 'string', short: 'd' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  hours: { type: 'string' },
+  note: { type: 'string' },
+  format: { type: 'string' },
+  json: { type: 'boolean' },
+  force: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// A failure reported as a message plus optional { path, message } problems,
+// ending the command with the given exit code
+class CliError extends Error {
+  constructor(code, message, problems = []) {
+    super(message);
+    this.code = code;
+    this.problems = problems;
+  }
+}
+
+/* =========================
+ * Plan files
+ * ========================= */
+
+// Read, migrate and validate a plan file. Invalid plans are refused rather
+// than repaired so a script never works from silently changed data.
+function readPlan(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new CliError(EXIT.invalidPlan, err.code === 'ENOENT' ? `${file} does not exist` : `cannot read ${file}: ${err.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new CliError(EXIT.invalidPlan, `${file} is not valid JSON: ${err.message}`);
+  }
+  if (parsed && parsed.type === BUNDLE_TYPE) {
+    throw new CliError(EXIT.invalidPlan, `${file} holds several profiles; export a single plan from the page`);
+  }
+  const { data, errors } = checkState(parsed);
+  if (errors.length) throw new CliError(EXIT.invalidPlan, `${file} is not a valid plan`, errors);
+  return normalizeState(data);
+}
+
+// Write a plan the way the page exports it. The new file replaces the old
+// one in a single rename, so an interrupted write never leaves half a plan.
+function writePlan(file, state) {
+  const errors = validateState(state);
+  if (errors.length) throw new CliError(EXIT.usage, 'the change would make the plan invalid', errors);
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(temp, JSON.stringify(state, null, 2));
+  fs.renameSync(temp, file);
+}
+
+/* =========================
+ * Option parsing
+ * ========================= */
+
+// A YYYY-MM-DD option value, `fallback` when it is not given
+function dateOption(options, name, fallback) {
+  const value = options[name] ?? fallback;
+  if (value === undefined) throw new CliError(EXIT.usage, `--${name} is required`);
+  if (!isDateString(value)) throw new CliError(EXIT.usage, `--${name} must be a date as YYYY-MM-DD, not "${value}"`);
+  return value;
+}
+
+// The bank named by --bank (an id, or a name in any case), or the first bank
+function bankOption(state, options) {
+  if (options.bank === undefined) return state.banks[0];
+  const wanted = options.bank.toLowerCase();
+  const bank = state.banks.find((b) => b.id === options.bank) || state.banks.find((b) => b.name.toLowerCase() === wanted);
+  if (!bank) throw new CliError(EXIT.usage, `no bank "${options.bank}"; the plan has ${state.banks.map((b) => b.id).join(', ')}`);
+  return bank;
+}
+
+// Today as YYYY-MM-DD, the same date the page uses
+function today() {
+  return ymd(clampDate(new Date()));
+}
+
+// Round hours for output so floating-point noise does not reach scripts
+function round(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+/* =========================
+ * Commands
+ * ========================= */
+
+// Balance of a bank at the end of a date, as the page's balance lookup shows it
+function balanceCommand(state, options, out) {
+  const date = dateOption(options, 'date', today());
+  const bank = bankOption(state, options);
+  const balance = createPlanner(state).getBalanceOn(date, bank.id);
+  if (options.json) out(JSON.stringify({ bank: bank.id, date, balance: round(balance) }));
+  else out(`${bank.name} balance on ${date}: ${fmt(balance)}`);
+}
+
+// First payday of a bank on or after a date and the hours it accrues
+function nextPaydayCommand(state, options, out) {
+  const date = dateOption(options, 'date', today());
+  const bank = bankOption(state, options);
+  const planner = createPlanner(state);
+  const from = toDateOnlyUTC(date);
+  const [next] = planner.accrualsBetween(from, addDays(from, 366), planner.accrualRules(bank));
+  const payday = next ? { date: ymd(next.date), hours: round(next.hours) } : null;
+  if (options.json) out(JSON.stringify({ bank: bank.id, date, payday }));
+  else if (!payday) out(`No ${bank.name} payday within a year of ${date}`);
+  else out(`Next ${bank.name} payday on or after ${date}: ${payday.date} (+${fmt(payday.hours)})`);
+}
+
+// Daily forecast of one bank (--bank) or every bank from --from through --to
+function forecastCommand(state, options, out) {
+  const from = dateOption(options, 'from', today());
+  const to = dateOption(options, 'to', ymd(addDays(toDateOnlyUTC(from), FORECAST_DAYS)));
+  const days = daysBetween(from, to);
+  if (days < 0) throw new CliError(EXIT.usage, '--to must not be before --from');
+  if (days > MAX_FORECAST_DAYS) throw new CliError(EXIT.usage, `the forecast is limited to ${MAX_FORECAST_DAYS} days`);
+  const format = options.format ?? 'csv';
+  if (format !== 'csv' && format !== 'json') throw new CliError(EXIT.usage, `--format must be csv or json, not "${format}"`);
+  const bankIds = options.bank === undefined ? state.banks.map((b) => b.id) : [bankOption(state, options).id];
+  const planner = createPlanner(state);
+  if (format === 'csv') {
+    out(planner.forecastCsv(from, days, bankIds));
+    return;
+  }
+  const forecast = planner.forecastDays(from, days, bankIds).map(({ date, banks }) => {
+    const rounded = {};
+    for (const [bankId, day] of Object.entries(banks)) {
+      rounded[bankId] = Object.fromEntries(Object.entries(day).map(([key, hours]) => [key, round(hours)]));
+    }
+    return { date, banks: rounded };
+  });
+  out(JSON.stringify(forecast, null, 2));
+}
+
+// Add a PTO range, charged like one added on the page. A range that takes
+// the bank below its floor during the forecast year needs --force.
+function addPtoCommand(state, options, out, file) {
+  const bank = bankOption(state, options);
+  const range = { from: dateOption(options, 'from'), to: dateOption(options, 'to'), bank: bank.id, note: options.note ?? '' };
+  if (options.hours !== undefined) range.totalHours = Number(options.hours);
+  const error = ptoRangeError(range);
+  if (error) throw new CliError(EXIT.usage, error);
+  const planner = createPlanner(state);
+  const check = planner.ptoRangeCheck(range);
+  if (check.below.length && !options.force) {
+    throw new CliError(EXIT.belowFloor, `${describeBalanceCheck(check)} Use --force to add it anyway.`);
+  }
+  range.hours = planner.ptoRangeHours(range);
+  state.ptoRanges.push(range);
+  writePlan(file, state);
+  out(`Added ${fmt(range.hours)} of ${bank.name} PTO from ${range.from} to ${range.to} to ${file}`);
+}
+
+// Add a credit of positive hours to a bank
+function addCreditCommand(state, options, out, file) {
+  const date = dateOption(options, 'date', today());
+  const bank = bankOption(state, options);
+  const hours = Number(options.hours);
+  if (options.hours === undefined || !isFinite(hours) || hours <= 0) throw new CliError(EXIT.usage, '--hours must be a positive number');
+  state.credits.push({ date, hours, bank: bank.id, note: options.note ?? '' });
+  writePlan(file, state);
+  out(`Added a ${bank.name} credit of ${fmt(hours)} on ${date} to ${file}`);
+}
+
+const COMMANDS = {
+  balance: balanceCommand,
+  'next-payday': nextPaydayCommand,
+  forecast: forecastCommand,
+  'add-pto': addPtoCommand,
+  'add-credit': addCreditCommand,
+};
+
+// Run a command line and return its exit code. Output goes through `out`
+// and problems through `err`, one line per call.
+function main(argv, out = console.log, err = console.error) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    err(`vacation-planner: ${e.message}`);
+    err('Run "vacation-planner --help" for usage.');
+    return EXIT.usage;
+  }
+  const { values: options, positionals } = parsed;
+  if (options.help) {
+    out(USAGE.trimEnd());
+    return EXIT.ok;
+  }
+  const [name, ...extra] = positionals;
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command || extra.length) {
+    err(name === undefined ? USAGE.trimEnd() : `vacation-planner: ${command ? `unexpected argument "${extra[0]}"` : `unknown command "${name}"`}`);
+    if (name !== undefined) err('Run "vacation-planner --help" for usage.');
+    return EXIT.usage;
+  }
+  const file = options.file ?? DEFAULT_FILE;
+  try {
+    command(readPlan(file), options, out, file);
+    return EXIT.ok;
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    err(`vacation-planner: ${e.message}`);
+    for (const problem of e.problems) err(`  ${problem.path}: ${problem.message}`);
+    return e.code;
+  }
+}
+
+module.exports = { main, EXIT };
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
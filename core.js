@@ -0,0 +1,1611 @@
+/*
+ * Vacation Balance Planner — core.js
+ *
+ * The date, pay schedule, schema, balance and CSV import logic of the
+ * planner, free of any DOM access so it runs the same in the browser and
+ * under Node. Loaded by a <script> tag it defines the global `VacationCore`;
+ * required from Node it is the module's exports.
+ *
+ * Functions that only need their arguments are exported directly. Those that
+ * read a plan (holidays, schedules, banks, PTO and credits) come from
+ * `createPlanner(state)`, which keeps its own caches for that plan.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.VacationCore = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* =========================
+   * Helpers & date utilities
+   * ========================= */
+
+  const MS_PER_DAY = 86400000;
+
+  // Format a number of hours to a string with two decimals and an "h" suffix
+  function fmt(hours) {
+    return `${(Math.round(hours * 100) / 100).toFixed(2)} h`;
+  }
+
+  // Convert a Date object to a YYYY-MM-DD string in UTC.  This helper was
+  // referenced throughout the code but was previously undefined, causing the
+  // script to break.  It returns a simple date string without time and is
+  // used for keys, labels, and comparisons.
+  function ymd(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Normalize a Date (or date string) to a UTC date (00:00:00Z)
+  function toDateOnlyUTC(value) {
+    if (!value) return null;
+    if (typeof value === 'string') {
+      const [y, m, d] = value.split('-').map(Number);
+      return new Date(Date.UTC(y, m - 1, d));
+    }
+    // assume Date instance
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  // Clamp a date to just the date part (UTC)
+  const clampDate = (d) => toDateOnlyUTC(toDateOnlyUTC(d));
+
+  // Add n days to a date
+  function addDays(date, n) {
+    return new Date(date.getTime() + n * MS_PER_DAY);
+  }
+
+  // Count days between two dates (inclusive) and return an integer
+  function daysBetween(a, b) {
+    return Math.floor((clampDate(b) - clampDate(a)) / MS_PER_DAY);
+  }
+
+  // Determine if a date is a weekday (Mon–Fri)
+  function isWeekday(date) {
+    const day = clampDate(date).getUTCDay();
+    return day !== 0 && day !== 6;
+  }
+
+  // Count weekdays (Mon–Fri) between two dates inclusive
+  function weekdaysBetweenInclusive(fromDate, toDate) {
+    let from = clampDate(fromDate);
+    let to = clampDate(toDate);
+    if (to < from) return 0;
+    let count = 0;
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+      if (isWeekday(d)) count++;
+    }
+    return count;
+  }
+
+  // Quote a CSV field when it contains a comma, quote or line break
+  function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /* =========================
+   * Holiday calendar
+   * ========================= */
+
+  // Built-in US federal holiday rules. Fixed-date rules use month/day and are
+  // shifted to the observed weekday when they land on a weekend; floating rules
+  // use the nth weekday of a month (nth = -1 means the last one).
+  const FEDERAL_HOLIDAY_RULES = [
+    { id: 'newYear', name: "New Year's Day", month: 1, day: 1 },
+    { id: 'mlk', name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+    { id: 'presidents', name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+    { id: 'memorial', name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+    { id: 'juneteenth', name: 'Juneteenth', month: 6, day: 19, since: 2021 },
+    { id: 'independence', name: 'Independence Day', month: 7, day: 4 },
+    { id: 'labor', name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+    { id: 'columbus', name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+    { id: 'veterans', name: 'Veterans Day', month: 11, day: 11 },
+    { id: 'thanksgiving', name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+    { id: 'christmas', name: 'Christmas Day', month: 12, day: 25 },
+  ];
+
+  // Return the nth given weekday (0 = Sunday) of a month (1–12); nth = -1 is the last
+  function nthWeekdayOfMonth(year, month, weekday, nth) {
+    if (nth < 0) {
+      const last = new Date(Date.UTC(year, month, 0));
+      return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+    }
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return addDays(first, offset + (nth - 1) * 7);
+  }
+
+  // Shift a weekend date to its observed weekday: Saturday → Friday, Sunday → Monday
+  function observedDate(date) {
+    const day = date.getUTCDay();
+    if (day === 6) return addDays(date, -1);
+    if (day === 0) return addDays(date, 1);
+    return date;
+  }
+
+  // Observed date of a holiday rule in a given year, or null when it does not apply
+  function holidayRuleDate(rule, year) {
+    if (rule.since && year < rule.since) return null;
+    if (rule.nth) return nthWeekdayOfMonth(year, rule.month, rule.weekday, rule.nth);
+    return observedDate(new Date(Date.UTC(year, rule.month - 1, rule.day)));
+  }
+
+  /* =========================
+   * Work schedules
+   * ========================= */
+
+  // Hours per weekday, Sunday first. Applies before the first configured schedule.
+  const STANDARD_WEEK = [0, 8, 8, 8, 8, 8, 0];
+  const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  // Start (Sunday) of the week containing a date
+  function weekStart(date) {
+    const d = clampDate(date);
+    return addDays(d, -d.getUTCDay());
+  }
+
+  // Hours a single schedule assigns to a date. Alternating schedules count
+  // the week containing the effective date as week A.
+  function scheduleHoursForDate(schedule, date) {
+    const d = clampDate(date);
+    let week = schedule.weekA;
+    if (schedule.weekB) {
+      const weeks = Math.round(daysBetween(weekStart(schedule.effective), weekStart(d)) / 7);
+      if (Math.abs(weeks) % 2 === 1) week = schedule.weekB;
+    }
+    return Math.max(0, Number(week[d.getUTCDay()]) || 0);
+  }
+
+  // Describe a weekly pattern, e.g. "Mon 10, Tue 10, Wed 10, Thu 10"
+  function describeWeek(week) {
+    const days = week.map((h, i) => (Number(h) ? `${WEEKDAY_NAMES[i]} ${Number(h)}` : null)).filter(Boolean);
+    return days.length ? days.join(', ') : 'No workdays';
+  }
+
+  /* =========================
+   * Pay schedule helpers
+   * ========================= */
+
+  // Supported pay schedule types for accrual rules
+  const PAY_SCHEDULE_TYPES = {
+    interval: 'Every N days',
+    semimonthly: 'Semi-monthly (15th and last day)',
+    monthly: 'Monthly',
+  };
+
+  // Get the next payday on or after a given date for an every-N-days cadence
+  function nextPaydayOnOrAfter(date, firstPayday, frequencyDays) {
+    const d = clampDate(date);
+    const first = clampDate(firstPayday);
+    if (d <= first) return first;
+    const diff = daysBetween(first, d);
+    const steps = Math.ceil(diff / frequencyDays);
+    return addDays(first, steps * frequencyDays);
+  }
+
+  // Normalize the base pay settings plus the dated `accrualRules` into a sorted
+  // list of rules, each active from `start` through `end` (inclusive, null for
+  // open-ended). The base settings form the first rule, starting at the first
+  // payday. An every-N-days rule keeps the previous cadence when the frequency
+  // is unchanged; otherwise its first payday is its effective date. A missing
+  // or non-positive frequency (which validation rejects) counts as 14 days.
+  function buildAccrualRules(settings) {
+    const base = {
+      effective: settings.firstPayday,
+      rate: settings.accrualPerPeriod,
+      type: settings.payScheduleType,
+      frequencyDays: settings.payFrequencyDays,
+      dayOfMonth: settings.payDayOfMonth,
+    };
+    const rules = [base, ...(settings.accrualRules || [])]
+      .filter((r) => r.effective)
+      .map((r) => ({
+        start: toDateOnlyUTC(r.effective),
+        rate: Number(r.rate) || 0,
+        type: r.type in PAY_SCHEDULE_TYPES ? r.type : 'interval',
+        frequencyDays: Math.max(0, Math.floor(Number(r.frequencyDays))) || 14,
+        dayOfMonth: Math.floor(Number(r.dayOfMonth)) || null,
+      }))
+      .sort((a, b) => a.start - b.start);
+    rules.forEach((r, i) => {
+      const prev = rules[i - 1];
+      r.end = i + 1 < rules.length ? addDays(rules[i + 1].start, -1) : null;
+      r.anchor = r.type === 'interval' && prev && prev.type === 'interval' && prev.frequencyDays === r.frequencyDays ? prev.anchor : r.start;
+      if (!r.dayOfMonth) r.dayOfMonth = r.start.getUTCDate();
+    });
+    return rules;
+  }
+
+  // Generate the paydays of a single rule between two dates (inclusive)
+  function paydaysForRule(rule, startDate, endDate) {
+    let from = clampDate(startDate);
+    let to = clampDate(endDate);
+    if (from < rule.start) from = rule.start;
+    if (rule.end && to > rule.end) to = rule.end;
+    const result = [];
+    if (to < from) return result;
+    if (rule.type === 'interval') {
+      for (let d = nextPaydayOnOrAfter(from, rule.anchor, rule.frequencyDays); d <= to; d = addDays(d, rule.frequencyDays)) {
+        result.push(d);
+      }
+      return result;
+    }
+    let month = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    while (month <= to) {
+      const y = month.getUTCFullYear();
+      const m = month.getUTCMonth();
+      const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+      const days = rule.type === 'semimonthly' ? [15, last] : [Math.min(rule.dayOfMonth, last)];
+      for (const day of days) {
+        const d = new Date(Date.UTC(y, m, day));
+        if (d >= from && d <= to) result.push(d);
+      }
+      month = new Date(Date.UTC(y, m + 1, 1));
+    }
+    return result;
+  }
+
+  /* =========================
+   * State schema & validation
+   * ========================= */
+
+  // Version of the stored state shape. Version 3 is the original flat shape
+  // with one balance and its settings at the top level; version 4 moved the
+  // accrual settings into leave banks. Data without a `schemaVersion` is
+  // version 4 when it has banks and version 3 otherwise.
+  const SCHEMA_VERSION = 4;
+
+  // Marks an export that holds several profiles
+  const BUNDLE_TYPE = 'vacation-planner-bundle';
+
+  // Migrations keyed by the version they upgrade from
+  const MIGRATIONS = {
+    3: migrateV3toV4,
+  };
+
+  // Version 3 → 4: the top-level accrual settings become the Vacation bank and
+  // every PTO range and credit draws from it
+  function migrateV3toV4(data) {
+    const bank = { id: DEFAULT_BANK.id, name: DEFAULT_BANK.name };
+    const rest = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (BANK_FIELDS.includes(key)) bank[key] = value;
+      else rest[key] = value;
+    }
+    const tag = (list) => (Array.isArray(list) ? list.map((e) => (e && typeof e === 'object' ? { ...e, bank: bank.id } : e)) : list);
+    return { ...rest, schemaVersion: 4, banks: [bank], ptoRanges: tag(data.ptoRanges), credits: tag(data.credits) };
+  }
+
+  // Upgrade stored or imported data to the current schema version. Returns
+  // { data, version, errors } where `version` is the version the input had.
+  function migrateState(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { data: null, version: null, errors: [{ path: '(root)', message: 'must be a JSON object' }] };
+    }
+    const from = Number.isInteger(input.schemaVersion) ? input.schemaVersion : Array.isArray(input.banks) ? 4 : 3;
+    if (from > SCHEMA_VERSION) {
+      return { data: null, version: from, errors: [{ path: 'schemaVersion', message: `${from} is newer than this planner supports (${SCHEMA_VERSION})` }] };
+    }
+    let data = input;
+    for (let v = from; v < SCHEMA_VERSION; v++) {
+      if (!MIGRATIONS[v]) return { data: null, version: from, errors: [{ path: 'schemaVersion', message: `${from} is too old to read` }] };
+      data = MIGRATIONS[v](data);
+    }
+    return { data, version: from, errors: [] };
+  }
+
+  // Ids of banks, recurring rules, scenarios and profiles: letters, digits,
+  // "-" and "_". The page puts them in HTML attributes and the sync server
+  // in file names, so nothing else is accepted.
+  const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+  // True for a YYYY-MM-DD string naming a real calendar date
+  function isDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    return ymd(toDateOnlyUTC(value)) === value;
+  }
+
+  // Check current-version data field by field. Optional fields may be missing
+  // (defaults fill them in) but must be well-formed when present. Returns every
+  // problem as { path, message }.
+  function validateState(data) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+    const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+    const missing = (v) => v === undefined || v === null || v === '';
+    const checkDate = (path, v, required) => {
+      if (missing(v)) return required && fail(path, 'is required');
+      if (!isDateString(v)) fail(path, 'must be a date as YYYY-MM-DD');
+    };
+    const checkNumber = (path, v, { required = false, min, max, integer = false } = {}) => {
+      if (missing(v)) return required && fail(path, 'is required');
+      if (typeof v !== 'number' || !isFinite(v)) return fail(path, 'must be a number');
+      if (integer && !Number.isInteger(v)) return fail(path, 'must be a whole number');
+      if (min !== undefined && v < min) return fail(path, `must be at least ${min}`);
+      if (max !== undefined && v > max) fail(path, `must be at most ${max}`);
+    };
+    const checkText = (path, v) => {
+      if (v !== undefined && v !== null && typeof v !== 'string') fail(path, 'must be text');
+    };
+    const checkList = (path, v) => {
+      if (v === undefined) return [];
+      if (!Array.isArray(v)) {
+        fail(path, 'must be a list');
+        return [];
+      }
+      return v;
+    };
+    const checkSchedule = (path, type, frequencyDays, dayOfMonth) => {
+      if (!missing(type) && !(type in PAY_SCHEDULE_TYPES)) fail(`${path}type`, `must be one of ${Object.keys(PAY_SCHEDULE_TYPES).join(', ')}`);
+      checkNumber(`${path}frequencyDays`, frequencyDays, { min: 1, integer: true });
+      checkNumber(`${path}dayOfMonth`, dayOfMonth, { min: 1, max: 31, integer: true });
+    };
+
+    const ID_MESSAGE = 'must be an id of up to 64 letters, digits, "-" or "_"';
+
+    checkDate('startDate', data.startDate, false);
+
+    const bankIds = new Set();
+    const banks = checkList('banks', data.banks);
+    if (Array.isArray(data.banks) && !banks.length) fail('banks', 'must contain at least one leave bank');
+    banks.forEach((b, i) => {
+      const p = `banks[${i}]`;
+      if (!isObject(b)) return fail(p, 'must be an object');
+      if (typeof b.id !== 'string' || !ID_PATTERN.test(b.id)) fail(`${p}.id`, ID_MESSAGE);
+      else if (bankIds.has(b.id)) fail(`${p}.id`, `repeats the id "${b.id}"`);
+      else bankIds.add(b.id);
+      checkText(`${p}.name`, b.name);
+      checkNumber(`${p}.startBalance`, b.startBalance);
+      checkNumber(`${p}.accrualPerPeriod`, b.accrualPerPeriod, { min: 0 });
+      checkDate(`${p}.firstPayday`, b.firstPayday, false);
+      if (!missing(b.payScheduleType) && !(b.payScheduleType in PAY_SCHEDULE_TYPES)) {
+        fail(`${p}.payScheduleType`, `must be one of ${Object.keys(PAY_SCHEDULE_TYPES).join(', ')}`);
+      }
+      checkNumber(`${p}.payFrequencyDays`, b.payFrequencyDays, { min: 1, integer: true });
+      checkNumber(`${p}.payDayOfMonth`, b.payDayOfMonth, { min: 1, max: 31, integer: true });
+      checkNumber(`${p}.balanceCap`, b.balanceCap, { min: 0 });
+      checkNumber(`${p}.carryoverLimit`, b.carryoverLimit, { min: 0 });
+      checkNumber(`${p}.balanceFloor`, b.balanceFloor);
+      if (!missing(b.resetDate) && !isValidResetDate(b.resetDate)) fail(`${p}.resetDate`, 'must be a month and day as MM-DD');
+      checkList(`${p}.accrualRules`, b.accrualRules).forEach((r, j) => {
+        const rp = `${p}.accrualRules[${j}]`;
+        if (!isObject(r)) return fail(rp, 'must be an object');
+        checkDate(`${rp}.effective`, r.effective, true);
+        checkNumber(`${rp}.rate`, r.rate, { required: true, min: 0 });
+        checkSchedule(`${rp}.`, r.type, r.frequencyDays, r.dayOfMonth);
+        checkText(`${rp}.note`, r.note);
+      });
+      checkList(`${p}.snapshots`, b.snapshots).forEach((snap, j) => {
+        const sp = `${p}.snapshots[${j}]`;
+        if (!isObject(snap)) return fail(sp, 'must be an object');
+        checkDate(`${sp}.date`, snap.date, true);
+        checkNumber(`${sp}.balance`, snap.balance, { required: true });
+        checkText(`${sp}.note`, snap.note);
+      });
+    });
+    const checkBank = (path, id) => {
+      if (!missing(id) && !bankIds.has(id)) fail(path, `refers to an unknown bank "${id}"`);
+    };
+
+    const checkPTORanges = (path, list) =>
+      checkList(path, list).forEach((r, i) => {
+        const p = `${path}[${i}]`;
+        if (!isObject(r)) return fail(p, 'must be an object');
+        checkDate(`${p}.from`, r.from, true);
+        checkDate(`${p}.to`, r.to, true);
+        if (isDateString(r.from) && isDateString(r.to) && r.to < r.from) fail(`${p}.to`, 'must not be before the from date');
+        checkBank(`${p}.bank`, r.bank);
+        checkText(`${p}.note`, r.note);
+        checkNumber(`${p}.hours`, r.hours, { min: 0 });
+        checkNumber(`${p}.totalHours`, r.totalHours, { min: 0 });
+        if (r.dayHours !== undefined) {
+          if (!isObject(r.dayHours)) fail(`${p}.dayHours`, 'must map dates to hours');
+          else {
+            for (const [date, hours] of Object.entries(r.dayHours)) {
+              if (!isDateString(date)) fail(`${p}.dayHours`, `has an invalid date "${date}"`);
+              checkNumber(`${p}.dayHours["${date}"]`, hours, { required: true, min: 0, max: 24 });
+            }
+          }
+        }
+      });
+    const checkCredits = (path, list) =>
+      checkList(path, list).forEach((c, i) => {
+        const p = `${path}[${i}]`;
+        if (!isObject(c)) return fail(p, 'must be an object');
+        checkDate(`${p}.date`, c.date, true);
+        checkNumber(`${p}.hours`, c.hours, { required: true, min: 0 });
+        if (c.hours === 0) fail(`${p}.hours`, 'must be more than 0');
+        checkBank(`${p}.bank`, c.bank);
+        checkText(`${p}.note`, c.note);
+      });
+
+    checkPTORanges('ptoRanges', data.ptoRanges);
+    checkCredits('credits', data.credits);
+
+    const recurringIds = new Set();
+    checkList('recurring', data.recurring).forEach((r, i) => {
+      const p = `recurring[${i}]`;
+      if (!isObject(r)) return fail(p, 'must be an object');
+      if (typeof r.id !== 'string' || !ID_PATTERN.test(r.id)) fail(`${p}.id`, ID_MESSAGE);
+      else if (recurringIds.has(r.id)) fail(`${p}.id`, `repeats the id "${r.id}"`);
+      else recurringIds.add(r.id);
+      if (r.kind !== 'pto' && r.kind !== 'credit') fail(`${p}.kind`, 'must be pto or credit');
+      checkDate(`${p}.start`, r.start, true);
+      if (!(r.freq in RECURRENCE_FREQS)) fail(`${p}.freq`, `must be one of ${Object.keys(RECURRENCE_FREQS).join(', ')}`);
+      checkNumber(`${p}.interval`, r.interval, { min: 1, integer: true });
+      if (!missing(r.monthlyBy) && r.monthlyBy !== 'day' && r.monthlyBy !== 'weekday') fail(`${p}.monthlyBy`, 'must be day or weekday');
+      checkDate(`${p}.until`, r.until, false);
+      if (isDateString(r.start) && isDateString(r.until) && r.until < r.start) fail(`${p}.until`, 'must not be before the start date');
+      checkNumber(`${p}.count`, r.count, { min: 1, integer: true });
+      checkNumber(`${p}.hours`, r.hours, { required: r.kind === 'credit', min: 0 });
+      if (r.kind === 'credit' && r.hours === 0) fail(`${p}.hours`, 'must be more than 0');
+      checkBank(`${p}.bank`, r.bank);
+      checkText(`${p}.note`, r.note);
+      if (r.exceptions !== undefined) {
+        if (!isObject(r.exceptions)) return fail(`${p}.exceptions`, 'must map occurrence dates to changes');
+        for (const [date, change] of Object.entries(r.exceptions)) {
+          const ep = `${p}.exceptions["${date}"]`;
+          if (!isDateString(date)) fail(`${p}.exceptions`, `has an invalid date "${date}"`);
+          if (!isObject(change)) {
+            fail(ep, 'must be an object');
+            continue;
+          }
+          if (change.skip !== undefined && typeof change.skip !== 'boolean') fail(`${ep}.skip`, 'must be true or false');
+          checkDate(`${ep}.date`, change.date, false);
+          checkNumber(`${ep}.hours`, change.hours, { min: 0 });
+          checkText(`${ep}.note`, change.note);
+        }
+      }
+    });
+
+    const scenarioIds = new Set();
+    checkList('scenarios', data.scenarios).forEach((sc, i) => {
+      const p = `scenarios[${i}]`;
+      if (!isObject(sc)) return fail(p, 'must be an object');
+      if (typeof sc.id !== 'string' || !ID_PATTERN.test(sc.id)) fail(`${p}.id`, ID_MESSAGE);
+      else if (scenarioIds.has(sc.id)) fail(`${p}.id`, `repeats the id "${sc.id}"`);
+      else scenarioIds.add(sc.id);
+      checkText(`${p}.name`, sc.name);
+      if (sc.visible !== undefined && typeof sc.visible !== 'boolean') fail(`${p}.visible`, 'must be true or false');
+      checkPTORanges(`${p}.ptoRanges`, sc.ptoRanges);
+      checkCredits(`${p}.credits`, sc.credits);
+      if (sc.bankChanges !== undefined) {
+        if (!isObject(sc.bankChanges)) return fail(`${p}.bankChanges`, 'must map bank ids to setting changes');
+        for (const [bankId, changes] of Object.entries(sc.bankChanges)) {
+          const cp = `${p}.bankChanges["${bankId}"]`;
+          checkBank(cp, bankId);
+          if (!isObject(changes)) {
+            fail(cp, 'must map settings to values');
+            continue;
+          }
+          for (const [field, value] of Object.entries(changes)) {
+            if (!(field in SCENARIO_FIELDS)) fail(`${cp}.${field}`, 'is not a setting a scenario can change');
+            else if (value !== null) checkNumber(`${cp}.${field}`, value);
+          }
+        }
+      }
+    });
+
+    if (data.holidays !== undefined) {
+      if (!isObject(data.holidays)) fail('holidays', 'must be an object');
+      else {
+        checkList('holidays.federal', data.holidays.federal).forEach((id, i) => {
+          if (!FEDERAL_HOLIDAY_RULES.some((r) => r.id === id)) fail(`holidays.federal[${i}]`, `is not a known federal holiday ("${id}")`);
+        });
+        checkList('holidays.custom', data.holidays.custom).forEach((h, i) => {
+          const p = `holidays.custom[${i}]`;
+          if (!isObject(h)) return fail(p, 'must be an object');
+          checkDate(`${p}.date`, h.date, true);
+          checkText(`${p}.name`, h.name);
+          if (h.yearly !== undefined && typeof h.yearly !== 'boolean') fail(`${p}.yearly`, 'must be true or false');
+        });
+      }
+    }
+
+    checkList('workSchedules', data.workSchedules).forEach((w, i) => {
+      const p = `workSchedules[${i}]`;
+      if (!isObject(w)) return fail(p, 'must be an object');
+      checkDate(`${p}.effective`, w.effective, true);
+      for (const week of ['weekA', 'weekB']) {
+        const value = w[week];
+        if (week === 'weekB' && (value === null || value === undefined)) continue;
+        if (!Array.isArray(value) || value.length !== 7) {
+          fail(`${p}.${week}`, 'must list hours for the 7 days Sunday to Saturday');
+          continue;
+        }
+        value.forEach((h, d) => checkNumber(`${p}.${week}[${d}]`, h, { required: true, min: 0, max: 24 }));
+      }
+    });
+
+    return errors;
+  }
+
+  // Lists whose entries are dropped as a whole when any of their fields is invalid
+  const ENTRY_LISTS = ['ptoRanges', 'credits', 'recurring', 'custom', 'workSchedules', 'accrualRules', 'snapshots'];
+
+  // Repair current-version data using the errors from validateState: invalid
+  // entries are dropped, and invalid settings are removed so defaults apply
+  function repairState(data, errors) {
+    const copy = JSON.parse(JSON.stringify(data));
+    const drop = new Set();
+    for (const { path } of errors) {
+      const keys = path.match(/[^.[\]"]+/g) || [];
+      let parent = null;
+      let node = copy;
+      let target = null;
+      for (let i = 0; i < keys.length && node && typeof node === 'object'; i++) {
+        const isEntry = Array.isArray(node) && (ENTRY_LISTS.includes(keys[i - 1]) || (keys[i - 1] === 'banks' && keys[i + 1] === 'id'));
+        if (isEntry || (Array.isArray(node) && i === keys.length - 1)) {
+          target = node[keys[i]];
+          // Mark primitive list items with a placeholder that prune removes
+          if (!target || typeof target !== 'object') target = node[keys[i]] = {};
+          break;
+        }
+        parent = node;
+        node = node[keys[i]];
+      }
+      if (target) drop.add(target);
+      else if (parent && typeof parent === 'object' && keys.length) delete parent[keys[keys.length - 1]];
+    }
+    const prune = (value) => {
+      if (Array.isArray(value)) return value.filter((v) => !drop.has(v)).map(prune);
+      if (value && typeof value === 'object') {
+        for (const key of Object.keys(value)) value[key] = prune(value[key]);
+      }
+      return value;
+    };
+    return prune(copy);
+  }
+
+  // Migrate and validate stored or imported data. Returns { data, errors };
+  // errors on data that was migrated from the flat version 3 shape name the
+  // top-level fields the file actually has.
+  function checkState(input) {
+    const { data, version, errors } = migrateState(input);
+    if (errors.length) return { data: null, errors };
+    const problems = validateState(data).map((e) =>
+      version < 4 ? { ...e, path: e.path.replace(/^banks\[0\]\./, '') } : e
+    );
+    return { data, errors: problems };
+  }
+
+  /* =========================
+   * State defaults
+   * ========================= */
+
+  // Default settings for a leave bank. Each bank has its own starting balance,
+  // accrual settings and balance policy; PTO ranges and credits name the bank
+  // they belong to.
+  const DEFAULT_BANK = {
+    id: 'vacation',
+    name: 'Vacation',
+    startBalance: -15.78,
+    accrualPerPeriod: 4.61,
+    firstPayday: '2026-01-08',
+    payFrequencyDays: 14,
+    payScheduleType: 'interval',
+    payDayOfMonth: null,
+    accrualRules: [],
+    balanceCap: null,
+    carryoverLimit: null,
+    resetDate: '01-01',
+    balanceFloor: 0,
+  };
+
+  // Bank settings that used to live at the top level of the state
+  const BANK_FIELDS = Object.keys(DEFAULT_BANK).filter((k) => k !== 'id' && k !== 'name');
+
+  // Recurrence frequencies with the unit an interval counts
+  const RECURRENCE_FREQS = { weekly: 'week', monthly: 'month', yearly: 'year' };
+
+  // Bank settings a scenario can change, with their labels
+  const SCENARIO_FIELDS = {
+    startBalance: 'Starting balance',
+    accrualPerPeriod: 'Accrual per pay period',
+    balanceCap: 'Balance cap',
+    carryoverLimit: 'Carryover limit',
+    balanceFloor: 'Balance floor',
+  };
+
+  // Default settings and data structures
+  const DEFAULTS = {
+    startDate: '2026-01-01',
+    banks: [DEFAULT_BANK],
+    ptoRanges: [],
+    credits: [],
+    holidays: {
+      federal: FEDERAL_HOLIDAY_RULES.map((r) => r.id),
+      custom: [],
+    },
+    workSchedules: [],
+    scenarios: [],
+  };
+
+  // Fill in a holiday calendar, falling back to the defaults for missing parts
+  function normalizeHolidays(holidays) {
+    const h = holidays && typeof holidays === 'object' ? holidays : {};
+    return {
+      federal: Array.isArray(h.federal) ? h.federal.slice() : DEFAULTS.holidays.federal.slice(),
+      custom: Array.isArray(h.custom) ? h.custom.slice() : [],
+    };
+  }
+
+  // Fill in the leave banks, starting with the default Vacation bank when there are none
+  function normalizeBanks(data) {
+    let banks = Array.isArray(data.banks) ? data.banks.filter((b) => b && b.id) : [];
+    if (!banks.length) banks = [DEFAULT_BANK];
+    return banks.map((b) => ({
+      ...DEFAULT_BANK,
+      ...b,
+      name: b.name || b.id,
+      accrualRules: Array.isArray(b.accrualRules) ? b.accrualRules.slice() : [],
+      snapshots: Array.isArray(b.snapshots) ? b.snapshots.slice() : [],
+    }));
+  }
+
+  // Build a complete current-version state from migrated data, filling in
+  // defaults and dropping entries that are not objects
+  function normalizeState(data) {
+    const banks = normalizeBanks(data);
+    const withBank = (entry) => ({ ...entry, bank: banks.some((b) => b.id === entry.bank) ? entry.bank : banks[0].id });
+    const entries = (list) => (Array.isArray(list) ? list.filter((e) => e && typeof e === 'object').map(withBank) : []);
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      startDate: data.startDate || DEFAULTS.startDate,
+      banks,
+      ptoRanges: entries(data.ptoRanges),
+      credits: entries(data.credits),
+      recurring: entries(data.recurring).map((r) => ({
+        ...r,
+        interval: Number(r.interval) || 1,
+        exceptions: r.exceptions && typeof r.exceptions === 'object' ? { ...r.exceptions } : {},
+      })),
+      holidays: normalizeHolidays(data.holidays),
+      workSchedules: Array.isArray(data.workSchedules) ? data.workSchedules.slice() : [],
+      scenarios: Array.isArray(data.scenarios)
+        ? data.scenarios
+            .filter((sc) => sc && typeof sc === 'object' && sc.id)
+            .map((sc) => ({
+              id: sc.id,
+              name: sc.name || 'Scenario',
+              visible: sc.visible !== false,
+              ptoRanges: entries(sc.ptoRanges),
+              credits: entries(sc.credits),
+              bankChanges: sc.bankChanges && typeof sc.bankChanges === 'object' ? { ...sc.bankChanges } : {},
+            }))
+        : [],
+    };
+  }
+
+  // Remove a bank from a normalized state with everything that refers to it:
+  // its PTO ranges, credits and recurring rules, and its entries and setting
+  // changes in every scenario. Returns { data, removed } with the number of
+  // ptoRanges, credits, recurring rules and scenarioEntries removed.
+  function removeBank(data, bankId) {
+    const keep = (list) => list.filter((e) => e.bank !== bankId);
+    const scenarios = data.scenarios.map((sc) => {
+      const bankChanges = { ...sc.bankChanges };
+      delete bankChanges[bankId];
+      return { ...sc, ptoRanges: keep(sc.ptoRanges), credits: keep(sc.credits), bankChanges };
+    });
+    const result = {
+      ...data,
+      banks: data.banks.filter((b) => b.id !== bankId),
+      ptoRanges: keep(data.ptoRanges),
+      credits: keep(data.credits),
+      recurring: keep(data.recurring),
+      scenarios,
+    };
+    const count = (list) => list.reduce((sum, sc) => sum + sc.ptoRanges.length + sc.credits.length, 0);
+    return {
+      data: result,
+      removed: {
+        ptoRanges: data.ptoRanges.length - result.ptoRanges.length,
+        credits: data.credits.length - result.credits.length,
+        recurring: data.recurring.length - result.recurring.length,
+        scenarioEntries: count(data.scenarios) - count(scenarios),
+      },
+    };
+  }
+
+  /* =========================
+   * Core calculations
+   * ========================= */
+
+  // Return a validation message for a PTO range, or null when it is valid
+  function ptoRangeError(range) {
+    if (!range.from || !range.to) return 'Enter both from and to dates.';
+    if (toDateOnlyUTC(range.to) < toDateOnlyUTC(range.from)) return 'The "to" date must not be before the "from" date.';
+    if (range.totalHours != null) {
+      const total = Number(range.totalHours);
+      if (!isFinite(total) || total < 0) return 'Enter a total of zero or more hours.';
+    }
+    for (const [date, hours] of Object.entries(range.dayHours || {})) {
+      const h = Number(hours);
+      if (!isFinite(h) || h < 0 || h > 24) return `Hours for ${date} must be between 0 and 24.`;
+    }
+    return null;
+  }
+
+  // Parse an optional hour limit (cap or carryover); blank means no limit
+  function policyLimit(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return isFinite(n) ? n : null;
+  }
+
+  // Check an MM-DD reset date; Feb 29 is rejected since most years lack it
+  function isValidResetDate(value) {
+    if (!/^\d{2}-\d{2}$/.test(value)) return false;
+    const [m, d] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(2001, m - 1, d));
+    return date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+  }
+
+  // Days ahead of today that the forecast and the affordability checks cover
+  const FORECAST_DAYS = 365;
+
+  // Describe a balance check for the PTO form and the add confirmation
+  function describeBalanceCheck(check) {
+    const lowest = `Lowest balance ${fmt(check.lowest.balance)} on ${check.lowest.date}`;
+    if (!check.below.length) return `${lowest}; never below the ${fmt(check.floor)} floor.`;
+    const stretches = check.below.map((b) => (b.from === b.to ? b.from : `${b.from} – ${b.to}`));
+    const shown = stretches.slice(0, 3).join(', ') + (stretches.length > 3 ? `, and ${stretches.length - 3} more` : '');
+    return `${lowest}; below the ${fmt(check.floor)} floor on ${shown}.`;
+  }
+
+  /* =========================
+   * Recurring PTO & credits
+   * ========================= */
+
+  // Rules without an end date or count are expanded this many days past today,
+  // and no rule expands to more than MAX_OCCURRENCES dates
+  const RECURRENCE_HORIZON_DAYS = 5 * 366;
+  const MAX_OCCURRENCES = 1000;
+
+  // The date `step` weeks, months or years after a rule's start. Monthly rules
+  // repeat on the start's day of the month (the last day in shorter months) or,
+  // with monthlyBy 'weekday', on the same nth weekday (a fifth weekday counts as the last).
+  function recurrenceDate(rule, start, step) {
+    if (rule.freq === 'weekly') return addDays(start, step * 7);
+    const months = start.getUTCMonth() + (rule.freq === 'yearly' ? step * 12 : step);
+    const year = start.getUTCFullYear() + Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    if (rule.freq === 'monthly' && rule.monthlyBy === 'weekday') {
+      const nth = Math.ceil(start.getUTCDate() / 7);
+      return nthWeekdayOfMonth(year, month, start.getUTCDay(), nth > 4 ? -1 : nth);
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1, Math.min(start.getUTCDate(), lastDay)));
+  }
+
+  // Dates (YYYY-MM-DD) a rule repeats on up to `throughKey`, before exceptions.
+  // A count includes occurrences that were later skipped.
+  function recurrenceDates(rule, throughKey) {
+    const start = toDateOnlyUTC(rule.start);
+    const interval = Math.max(1, Number(rule.interval) || 1);
+    const last = rule.until && rule.until < throughKey ? rule.until : throughKey;
+    const count = Math.min(Number(rule.count) || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const dates = [];
+    for (let n = 0; dates.length < count; n++) {
+      const key = ymd(recurrenceDate(rule, start, n * interval));
+      if (key > last) break;
+      dates.push(key);
+    }
+    return dates;
+  }
+
+  // Occurrences of a rule up to `throughKey` with their exceptions applied, as
+  // { occurrence, date, hours, note, skipped, changed } where `occurrence` is
+  // the date the series put it on
+  function recurringOccurrences(rule, throughKey) {
+    return recurrenceDates(rule, throughKey).map((occurrence) => {
+      const change = rule.exceptions[occurrence] || {};
+      return {
+        occurrence,
+        date: change.date || occurrence,
+        hours: change.hours ?? rule.hours ?? null,
+        note: change.note ?? rule.note ?? '',
+        skipped: !!change.skip,
+        changed: !change.skip && Object.keys(change).length > 0,
+      };
+    });
+  }
+
+  // Last date open-ended rules are expanded to
+  function recurrenceHorizon() {
+    return ymd(addDays(clampDate(new Date()), RECURRENCE_HORIZON_DAYS));
+  }
+
+  // Describe a rule, e.g. "Every 2 weeks on Fri from 2026-06-05 until 2026-08-28"
+  function describeRecurrence(rule) {
+    const start = toDateOnlyUTC(rule.start);
+    const interval = Number(rule.interval) || 1;
+    const unit = RECURRENCE_FREQS[rule.freq];
+    let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+    if (rule.freq === 'weekly') text += ` on ${WEEKDAY_NAMES[start.getUTCDay()]}`;
+    else if (rule.freq === 'monthly' && rule.monthlyBy === 'weekday') {
+      const nth = Math.ceil(start.getUTCDate() / 7);
+      text += ` on the ${['first', 'second', 'third', 'fourth', 'last'][nth - 1]} ${WEEKDAY_NAMES[start.getUTCDay()]}`;
+    } else if (rule.freq === 'monthly') text += ` on day ${start.getUTCDate()}`;
+    else text += ` on ${rule.start.slice(5)}`;
+    text += ` from ${rule.start}`;
+    if (rule.until) text += ` until ${rule.until}`;
+    else if (rule.count) text += `, ${rule.count} time${Number(rule.count) === 1 ? '' : 's'}`;
+    return text;
+  }
+
+  /* =========================
+   * Balance ledger
+   * ========================= */
+
+  // Order of same-day ledger events: the reset comes first, then PTO, credits,
+  // the payday accrual, and finally a snapshot replaces the day's balance
+  const LEDGER_ORDER = { reset: 0, pto: 1, credit: 2, accrual: 3, snapshot: 4 };
+
+  // Index of the last item with a date on or before a key, or -1
+  function lastIndexOnOrBefore(items, key) {
+    let lo = 0;
+    let hi = items.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (items[mid].date <= key) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  // Balance at the end of a date from a ledger. Before the start date the
+  // balance is worked backward from the starting balance.
+  function ledgerBalanceOn(ledger, dateKey) {
+    if (dateKey < ledger.startKey) {
+      const i = lastIndexOnOrBefore(ledger.before, dateKey);
+      const total = ledger.before.length ? ledger.before[ledger.before.length - 1].total : 0;
+      return ledger.startBalance - (total - (i < 0 ? 0 : ledger.before[i].total));
+    }
+    const i = lastIndexOnOrBefore(ledger.entries, dateKey);
+    return i < 0 ? ledger.startBalance : ledger.entries[i].balance;
+  }
+
+  // Daily points from a start date for a number of days as { date, y } with the
+  // day's `forfeit` and `capLost` hours when there were any
+  function ledgerSeries(ledger, startDate, days) {
+    const start = clampDate(startDate);
+    const series = [];
+    let i = lastIndexOnOrBefore(ledger.entries, ymd(start));
+    for (let n = 0; n <= days; n++) {
+      const d = addDays(start, n);
+      const key = ymd(d);
+      const point = { date: d };
+      if (key < ledger.startKey) {
+        point.y = ledgerBalanceOn(ledger, key);
+      } else {
+        while (i + 1 < ledger.entries.length && ledger.entries[i + 1].date <= key) {
+          i++;
+          const e = ledger.entries[i];
+          if (e.date !== key) continue;
+          if (e.forfeit) point.forfeit = (point.forfeit || 0) + e.forfeit;
+          if (e.capLost) point.capLost = (point.capLost || 0) + e.capLost;
+        }
+        point.y = i < 0 ? ledger.startBalance : ledger.entries[i].balance;
+      }
+      series.push(point);
+    }
+    return series;
+  }
+
+  /* =========================
+   * CSV import
+   * ========================= */
+
+  // Split CSV text into rows of fields. Handles quoted fields with commas,
+  // doubled quotes and line breaks, CRLF line endings and a leading BOM.
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const src = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Header names accepted for each field of an imported row, in order of
+  // preference, and the fields a row must have
+  const CSV_COLUMNS = {
+    pto: {
+      fields: {
+        from: ['from', 'start', 'start date', 'first day'],
+        to: ['to', 'end', 'end date', 'last day'],
+        bank: ['bank', 'leave bank'],
+        totalHours: ['total_hours', 'total hours', 'hours'],
+        note: ['note', 'notes', 'description', 'summary'],
+      },
+      required: ['from'],
+    },
+    credit: {
+      fields: {
+        date: ['date'],
+        bank: ['bank', 'leave bank'],
+        hours: ['hours', 'credit', 'amount'],
+        note: ['note', 'notes', 'description'],
+      },
+      required: ['date', 'hours'],
+    },
+  };
+
+  // Match a header row to the fields of a CSV kind. Returns { columns } with
+  // the column index of each matched field and the required fields not found.
+  function mapCsvColumns(header, kind) {
+    const names = header.map((h) => h.trim().toLowerCase());
+    const columns = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMNS[kind].fields)) {
+      for (const alias of aliases) {
+        const idx = names.indexOf(alias);
+        if (idx !== -1 && !Object.values(columns).includes(idx)) {
+          columns[field] = idx;
+          break;
+        }
+      }
+    }
+    return { columns, missing: CSV_COLUMNS[kind].required.filter((field) => !(field in columns)) };
+  }
+
+  // Read a date written as YYYY-MM-DD or M/D/YYYY; null when invalid
+  function csvDate(text) {
+    const value = text.trim();
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const key = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : value;
+    return isDateString(key) ? key : null;
+  }
+
+  // Read the data rows of CSV text with a header row as { header, columns,
+  // missing, records }. The columns are matched to the fields of `kind` by
+  // header name unless `columns` maps each field to a column index. Each
+  // record is { line, values } with the text of every field, blank when the
+  // field has no column.
+  function readCsvRows(text, kind, columns) {
+    const rows = parseCsv(text).filter((row) => row.some((field) => field.trim()));
+    const header = rows.length ? rows[0] : [];
+    const mapped = columns ? { columns, missing: CSV_COLUMNS[kind].required.filter((field) => !(field in columns)) } : mapCsvColumns(header, kind);
+    const records = rows.slice(1).map((row, i) => {
+      const values = {};
+      for (const field of Object.keys(CSV_COLUMNS[kind].fields)) values[field] = field in mapped.columns ? row[mapped.columns[field]] || '' : '';
+      return { line: i + 2, values };
+    });
+    return { header, ...mapped, records };
+  }
+
+  /* =========================
+   * Planner
+   * ========================= */
+
+  // Bind the state-dependent calculations to a plan. `source` is either a
+  // normalized state or a function returning the current one, so the page can
+  // swap its state (profiles, undo, scenarios) without a new planner. Call
+  // `clearCaches()` after changing the state the planner reads.
+  function createPlanner(source) {
+    const currentState = typeof source === 'function' ? source : () => source;
+
+    // Holiday calendar
+
+    // Holidays per calendar year, keyed by year and then by YYYY-MM-DD.  Cleared
+    // whenever the state is saved so edits to the calendar take effect.
+    const holidayCache = new Map();
+
+    // Build the map of observed holidays that fall inside a calendar year
+    function holidaysInYear(year) {
+      const state = currentState();
+      if (holidayCache.has(year)) return holidayCache.get(year);
+      const result = new Map();
+      const add = (date, name) => {
+        if (date && date.getUTCFullYear() === year && !result.has(ymd(date))) result.set(ymd(date), name);
+      };
+      const cal = state.holidays;
+      const rules = FEDERAL_HOLIDAY_RULES.filter((r) => cal.federal.includes(r.id));
+      // Fixed dates early in January can be observed on Dec 31 of the prior year
+      for (const y of [year, year + 1]) {
+        for (const rule of rules) add(holidayRuleDate(rule, y), rule.name);
+      }
+      for (const h of cal.custom) {
+        const date = toDateOnlyUTC(h.date);
+        if (!h.yearly) {
+          add(date, h.name);
+          continue;
+        }
+        for (const y of [year, year + 1]) {
+          add(observedDate(new Date(Date.UTC(y, date.getUTCMonth(), date.getUTCDate()))), h.name);
+        }
+      }
+      holidayCache.set(year, result);
+      return result;
+    }
+
+    // Return the holiday name observed on a date, or null
+    function holidayName(date) {
+      const d = clampDate(date);
+      return holidaysInYear(d.getUTCFullYear()).get(ymd(d)) || null;
+    }
+
+    // Determine if a date is a workday: a scheduled day that is not an observed holiday
+    function isWorkday(date) {
+      return scheduledHoursOn(date) > 0 && !holidayName(date);
+    }
+
+    // Count workdays (scheduled days minus observed holidays) between two dates inclusive
+    function workdaysBetweenInclusive(fromDate, toDate) {
+      let from = clampDate(fromDate);
+      let to = clampDate(toDate);
+      if (to < from) return 0;
+      let count = 0;
+      for (let d = from; d <= to; d = addDays(d, 1)) {
+        if (isWorkday(d)) count++;
+      }
+      return count;
+    }
+
+    // List observed holidays between two dates inclusive as { date, name }
+    function holidaysBetween(fromDate, toDate) {
+      const from = clampDate(fromDate);
+      const to = clampDate(toDate);
+      const result = [];
+      for (let y = from.getUTCFullYear(); y <= to.getUTCFullYear(); y++) {
+        for (const [date, name] of holidaysInYear(y)) {
+          const d = toDateOnlyUTC(date);
+          if (d >= from && d <= to) result.push({ date, name });
+        }
+      }
+      return result.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Work schedules
+
+    // Schedules sorted by effective date; rebuilt after the state is saved
+    let scheduleCache = null;
+
+    function sortedSchedules() {
+      const state = currentState();
+      if (!scheduleCache) {
+        scheduleCache = state.workSchedules
+          .map((s) => ({ ...s, effectiveDate: toDateOnlyUTC(s.effective) }))
+          .sort((a, b) => a.effectiveDate - b.effectiveDate);
+      }
+      return scheduleCache;
+    }
+
+    // Return the schedule in effect on a date, or null before the first one
+    function scheduleOn(date) {
+      const d = clampDate(date);
+      let active = null;
+      for (const s of sortedSchedules()) {
+        if (s.effectiveDate <= d) active = s;
+        else break;
+      }
+      return active;
+    }
+
+    // Hours normally worked on a date, ignoring holidays
+    function scheduledHoursOn(date) {
+      const schedule = scheduleOn(date);
+      if (!schedule) return STANDARD_WEEK[clampDate(date).getUTCDay()];
+      return scheduleHoursForDate(schedule, date);
+    }
+
+    // Pay schedule helpers
+
+    // Accrual rules per leave bank id; rebuilt after the state is saved
+    const accrualRuleCache = new Map();
+
+    function accrualRules(bank = getBank()) {
+      if (!accrualRuleCache.has(bank.id)) accrualRuleCache.set(bank.id, buildAccrualRules(bank));
+      return accrualRuleCache.get(bank.id);
+    }
+
+    // List accruals between two dates (inclusive) as { date, hours }, each payday
+    // earning the rate of the rule active on it
+    function accrualsBetween(startDate, endDate, rules = accrualRules()) {
+      const result = [];
+      for (const rule of rules) {
+        for (const date of paydaysForRule(rule, startDate, endDate)) result.push({ date, hours: rule.rate });
+      }
+      return result;
+    }
+
+    // Generate an array of payday dates between a start and end date (inclusive)
+    function getPaydaysBetween(startDate, endDate, rules = accrualRules()) {
+      return accrualsBetween(startDate, endDate, rules).map((a) => a.date);
+    }
+
+    // Return the number of paydays that have occurred from the first payday up to targetDate
+    function countPaydays(targetDate, rules = accrualRules()) {
+      if (!rules.length) return 0;
+      return getPaydaysBetween(rules[0].start, targetDate, rules).length;
+    }
+
+    // Get the next payday on or after a given date under the active rules, or null
+    function nextPayday(date, rules = accrualRules()) {
+      const d = clampDate(date);
+      return getPaydaysBetween(d, addDays(d, 366), rules)[0] || null;
+    }
+
+    // State defaults
+
+    // Look up a leave bank by id, falling back to the first (primary) bank
+    function getBank(bankId) {
+      const state = currentState();
+      return state.banks.find((b) => b.id === bankId) || state.banks[0];
+    }
+
+    // Entries (PTO ranges or credits) that belong to a bank
+    function bankEntries(list, bank) {
+      const state = currentState();
+      return list.filter((e) => (e.bank || state.banks[0].id) === bank.id);
+    }
+
+    // Core calculations
+
+    // Hours a full PTO day costs on a given date: the scheduled hours, or 0 on
+    // days off and observed holidays
+    function defaultPTOHours(date) {
+      return holidayName(date) ? 0 : scheduledHoursOn(date);
+    }
+
+    // Expand a PTO range into the hours charged on each day as { date, hours }.
+    // A range charges full workdays unless it carries per-day overrides
+    // (`dayHours`, keyed by YYYY-MM-DD) or a fixed `totalHours`, which is spread
+    // across the workdays in proportion to their normal hours.
+    function ptoRangeCharges(range) {
+      const from = toDateOnlyUTC(range.from);
+      const to = toDateOnlyUTC(range.to);
+      const charges = [];
+      if (!from || !to || to < from) return charges;
+      const overrides = range.dayHours || {};
+      for (let d = from; d <= to; d = addDays(d, 1)) {
+        const base = defaultPTOHours(d);
+        if (!base) continue;
+        const key = ymd(d);
+        const hours = key in overrides ? Math.max(0, Number(overrides[key]) || 0) : base;
+        charges.push({ date: key, hours, base });
+      }
+      const total = Number(range.totalHours);
+      if (range.totalHours != null && range.totalHours !== '' && isFinite(total)) {
+        const baseSum = charges.reduce((sum, c) => sum + c.base, 0);
+        for (const c of charges) c.hours = baseSum ? (Math.max(0, total) * c.base) / baseSum : 0;
+      }
+      return charges.map(({ date, hours }) => ({ date, hours }));
+    }
+
+    // Total hours a PTO range charges
+    function ptoRangeHours(range) {
+      return ptoRangeCharges(range).reduce((sum, c) => sum + c.hours, 0);
+    }
+
+    // True when a bank has a balance cap or a carryover limit configured
+    function hasBalancePolicy(bank = getBank()) {
+      return policyLimit(bank.balanceCap) !== null || policyLimit(bank.carryoverLimit) !== null;
+    }
+
+    // Reset (carryover) date of a bank in a given year, from its MM-DD `resetDate`
+    function resetDateInYear(year, bank = getBank()) {
+      const [m, d] = String(bank.resetDate || '01-01').split('-').map(Number);
+      return new Date(Date.UTC(year, (m || 1) - 1, d || 1));
+    }
+
+    // First reset date of a bank strictly after a given date
+    function nextResetAfter(date, bank = getBank()) {
+      const d = clampDate(date);
+      const reset = resetDateInYear(d.getUTCFullYear(), bank);
+      return reset > d ? reset : resetDateInYear(d.getUTCFullYear() + 1, bank);
+    }
+
+    // Known balances of a bank in date order: the starting balance on the start
+    // date, then each reported snapshot (e.g. from a pay stub). Each one is the
+    // balance at the end of its day, so only later events change it. A snapshot
+    // on the start date overrides the starting balance.
+    function balanceAnchors(bank = getBank()) {
+      const state = currentState();
+      const anchors = [{ date: ymd(toDateOnlyUTC(state.startDate)), balance: Number(bank.startBalance) || 0, start: true }];
+      for (const snap of bank.snapshots || []) {
+        if (snap.date >= anchors[0].date) anchors.push({ date: snap.date, balance: Number(snap.balance) || 0, note: snap.note || '' });
+      }
+      return anchors.sort((a, b) => (a.date === b.date ? (a.start ? -1 : b.start ? 1 : 0) : a.date < b.date ? -1 : 1));
+    }
+
+    // Sum forfeited hours and accruals lost at the cap for a bank between two dates
+    function totalBalanceLosses(startDate, endDate, bankId) {
+      let forfeit = 0;
+      let capLost = 0;
+      for (const loss of balanceLossesByDate(startDate, endDate, bankId).values()) {
+        forfeit += loss.forfeit;
+        capLost += loss.capLost;
+      }
+      return { forfeit, capLost };
+    }
+
+    // Find the latest date of any PTO range drawing from a bank (for dashboard)
+    function latestPTODate(bankId) {
+      const ranges = bankEntries(plannedPTO(), getBank(bankId));
+      if (!ranges.length) return null;
+      return ranges
+        .map((r) => toDateOnlyUTC(r.to))
+        .sort((a, b) => b - a)[0];
+    }
+
+    // Compute total planned PTO hours drawn from a bank in the future from a given date
+    function totalFuturePTO(fromDateStr, bankId) {
+      const from = ymd(toDateOnlyUTC(fromDateStr));
+      let hours = 0;
+      for (const r of bankEntries(plannedPTO(), getBank(bankId))) {
+        if (r.to < from) continue;
+        for (const c of ptoRangeCharges(r)) {
+          if (c.date >= from) hours += c.hours;
+        }
+      }
+      return hours;
+    }
+
+    // Lowest balance of a bank between two dates (inclusive) as { date, balance },
+    // and the stretches where it is below the bank's floor as { from, to, lowest }
+    function balanceCheck(bankId, startDate, endDate) {
+      const bank = getBank(bankId);
+      const floor = Number(bank.balanceFloor) || 0;
+      const start = clampDate(startDate);
+      const days = daysBetween(start, endDate);
+      let lowest = null;
+      const below = [];
+      for (const { date, y: balance } of ledgerSeries(ledgerFor(bank.id, endDate), start, days)) {
+        const key = ymd(date);
+        if (!lowest || balance < lowest.balance) lowest = { date: key, balance };
+        if (balance >= floor - 1e-9) continue;
+        const last = below[below.length - 1];
+        if (last && last.to === ymd(addDays(date, -1))) {
+          last.to = key;
+          last.lowest = Math.min(last.lowest, balance);
+        } else {
+          below.push({ from: key, to: key, lowest: balance });
+        }
+      }
+      return { floor, lowest, below };
+    }
+
+    // Check the forecast of a PTO range's bank as if the range were planned,
+    // from today (or the range's start, if earlier) through the forecast year
+    // or the end of the range
+    function ptoRangeCheck(range) {
+      const state = currentState();
+      const today = clampDate(new Date());
+      const yearEnd = addDays(today, FORECAST_DAYS);
+      const start = toDateOnlyUTC(range.from) < today ? toDateOnlyUTC(range.from) : today;
+      const end = toDateOnlyUTC(range.to) > yearEnd ? toDateOnlyUTC(range.to) : yearEnd;
+      return createPlanner({ ...state, ptoRanges: [...state.ptoRanges, range] }).balanceCheck(range.bank, start, end);
+    }
+
+    // Find up to `count` earliest trips of a number of workdays, starting on a
+    // workday on or after `fromDate`, after which the bank's balance stays at or
+    // above its floor until a year past the search start. The trip's hours are
+    // taken off the planned balances, so with a cap or carryover limit (where a
+    // lower balance loses less) a found trip is always affordable but some
+    // affordable trips may be missed.
+    function findAffordableTrips(bankId, workdays, fromDate, count = 5) {
+      const bank = getBank(bankId);
+      const floor = Number(bank.balanceFloor) || 0;
+      const start = clampDate(fromDate);
+      const end = addDays(start, FORECAST_DAYS);
+      const base = ledgerSeries(ledgerFor(bank.id, end), start, FORECAST_DAYS).map((p) => p.y);
+      // Lowest planned balance from each day to the end of the window
+      const suffixMin = base.slice();
+      for (let i = suffixMin.length - 2; i >= 0; i--) suffixMin[i] = Math.min(suffixMin[i], suffixMin[i + 1]);
+
+      const trips = [];
+      for (let i = 0; i < base.length && trips.length < count; i++) {
+        const from = addDays(start, i);
+        if (!isWorkday(from)) continue;
+        let to = from;
+        for (let n = 1; n < workdays && to <= end; ) {
+          to = addDays(to, 1);
+          if (isWorkday(to)) n++;
+        }
+        const last = daysBetween(start, to);
+        if (last >= base.length) break;
+        const charges = new Map(ptoRangeCharges({ from: ymd(from), to: ymd(to) }).map((c) => [c.date, c.hours]));
+        let used = 0;
+        let lowest = Infinity;
+        for (let j = i; j <= last; j++) {
+          used += charges.get(ymd(addDays(start, j))) || 0;
+          lowest = Math.min(lowest, base[j] - used);
+        }
+        if (last + 1 < base.length) lowest = Math.min(lowest, suffixMin[last + 1] - used);
+        if (lowest >= floor - 1e-9) trips.push({ from: ymd(from), to: ymd(to), hours: used, lowest });
+      }
+      return trips;
+    }
+
+    // Recurring PTO & credits
+
+    // Expanded occurrences per kind ('pto' or 'credit'); cleared with the other caches
+    const recurrenceCache = new Map();
+
+    // PTO ranges ('pto') or credits ('credit') generated by the recurring rules.
+    // Each carries the rule id and occurrence date it came from.
+    function recurringEntries(kind) {
+      const state = currentState();
+      if (recurrenceCache.has(kind)) return recurrenceCache.get(kind);
+      const through = recurrenceHorizon();
+      const entries = [];
+      for (const rule of state.recurring || []) {
+        if (rule.kind !== kind) continue;
+        for (const o of recurringOccurrences(rule, through)) {
+          if (o.skipped) continue;
+          const source = { bank: rule.bank, note: o.note, recurringId: rule.id, occurrence: o.occurrence };
+          if (kind === 'credit') entries.push({ date: o.date, hours: Number(o.hours) || 0, ...source });
+          else entries.push({ from: o.date, to: o.date, ...source, ...(o.hours !== null ? { totalHours: Number(o.hours) } : {}) });
+        }
+      }
+      recurrenceCache.set(kind, entries);
+      return entries;
+    }
+
+    // PTO ranges the balance math uses: the planned ranges and recurring occurrences
+    function plannedPTO() {
+      const state = currentState();
+      return [...state.ptoRanges, ...recurringEntries('pto')];
+    }
+
+    // Credits the balance math uses: the recorded credits and recurring occurrences
+    function plannedCredits() {
+      const state = currentState();
+      return [...state.credits, ...recurringEntries('credit')];
+    }
+
+    // Balance ledger
+
+    // Every balance change of a bank in one sorted pass: accruals, PTO charges,
+    // credits, carryover resets and snapshots, each entry holding the running
+    // balance after it. Built through an end date and cached per bank until the
+    // state changes; the dashboard, projection, checks and chart all read from it.
+    const ledgerCache = new Map();
+
+    // Build the ledger of a bank through an end date. Returns { bankId, startKey,
+    // startBalance, endKey, entries, before } where entries are
+    // { date, type, hours, balance, note?, forfeit?, capLost?, computed? } after
+    // the start date and `before` lists the earlier changes with running totals,
+    // used to work balances backward from the start.
+    function buildLedger(bankId, endDate) {
+      const bank = getBank(bankId);
+      const endKey = ymd(clampDate(endDate));
+      const anchors = balanceAnchors(bank);
+      const startKey = anchors[0].date;
+      const cap = policyLimit(bank.balanceCap);
+      const carryover = policyLimit(bank.carryoverLimit);
+      const events = [];
+      const rules = accrualRules(bank);
+      if (rules.length) {
+        for (const a of accrualsBetween(rules[0].start, toDateOnlyUTC(endKey), rules)) events.push({ date: ymd(a.date), type: 'accrual', hours: a.hours });
+      }
+      for (const r of bankEntries(plannedPTO(), bank)) {
+        if (r.from > endKey) continue;
+        for (const c of ptoRangeCharges(r)) {
+          if (c.date <= endKey && c.hours) events.push({ date: c.date, type: 'pto', hours: -c.hours, note: r.note || '' });
+        }
+      }
+      for (const c of bankEntries(plannedCredits(), bank)) {
+        if (c.date <= endKey) events.push({ date: c.date, type: 'credit', hours: Math.max(0, Number(c.hours) || 0), note: c.note || '' });
+      }
+      for (const a of anchors.slice(1)) {
+        if (a.date <= endKey) events.push({ date: a.date, type: 'snapshot', balance: a.balance, note: a.note });
+      }
+      if (carryover !== null) {
+        for (let reset = nextResetAfter(toDateOnlyUTC(startKey), bank); ymd(reset) <= endKey; reset = nextResetAfter(reset, bank)) {
+          events.push({ date: ymd(reset), type: 'reset' });
+        }
+      }
+      events.sort((a, b) => (a.date === b.date ? LEDGER_ORDER[a.type] - LEDGER_ORDER[b.type] : a.date < b.date ? -1 : 1));
+
+      let balance = anchors[0].balance;
+      let total = 0;
+      const entries = [];
+      const before = [];
+      for (const e of events) {
+        // Changes up to the start date are already part of the starting balance
+        if (e.date <= startKey && e.type !== 'snapshot') {
+          total += e.hours;
+          before.push({ date: e.date, total });
+          continue;
+        }
+        if (e.type === 'reset') {
+          if (balance <= carryover) continue;
+          const forfeit = balance - carryover;
+          balance = carryover;
+          entries.push({ date: e.date, type: 'reset', hours: -forfeit, balance, forfeit });
+        } else if (e.type === 'snapshot') {
+          const computed = balance;
+          balance = e.balance;
+          entries.push({ date: e.date, type: 'snapshot', hours: balance - computed, balance, note: e.note, computed });
+        } else if (e.type === 'accrual' && cap !== null) {
+          const earned = Math.min(e.hours, Math.max(0, cap - balance));
+          balance += earned;
+          const entry = { date: e.date, type: 'accrual', hours: earned, balance };
+          if (earned < e.hours) entry.capLost = e.hours - earned;
+          entries.push(entry);
+        } else {
+          balance += e.hours;
+          entries.push({ ...e, balance });
+        }
+      }
+      return { bankId: bank.id, startKey, startBalance: anchors[0].balance, endKey, entries, before };
+    }
+
+    // Cached ledger of a bank covering at least the given date and the forecast year
+    function ledgerFor(bankId, throughDate) {
+      const bank = getBank(bankId);
+      const key = ymd(clampDate(throughDate));
+      const cached = ledgerCache.get(bank.id);
+      if (cached && cached.endKey >= key) return cached;
+      const horizon = ymd(addDays(clampDate(new Date()), FORECAST_DAYS));
+      const ledger = buildLedger(bank.id, key > horizon ? key : horizon);
+      ledgerCache.set(bank.id, ledger);
+      return ledger;
+    }
+
+    // Get the balance of a bank (the primary bank by default) on a specific date
+    function getBalanceOn(targetDateStr, bankId) {
+      const key = ymd(toDateOnlyUTC(targetDateStr));
+      return ledgerBalanceOn(ledgerFor(bankId, key), key);
+    }
+
+    // Each snapshot of a bank with the balance computed for its date from the
+    // previous anchor and the drift (reported minus computed)
+    function snapshotDrift(bankId) {
+      const state = currentState();
+      const bank = getBank(bankId);
+      const last = bank.snapshots.reduce((max, snap) => (snap.date > max ? snap.date : max), state.startDate);
+      return ledgerFor(bank.id, last)
+        .entries.filter((e) => e.type === 'snapshot')
+        .map((e) => ({ date: e.date, balance: e.balance, note: e.note, computed: e.computed, drift: e.hours }));
+    }
+
+    // Forfeited hours and accruals lost at the cap for a bank between two dates
+    // (inclusive), keyed by YYYY-MM-DD as { forfeit, capLost }
+    function balanceLossesByDate(startDate, endDate, bankId) {
+      const from = ymd(clampDate(startDate));
+      const to = ymd(clampDate(endDate));
+      const losses = new Map();
+      for (const e of ledgerFor(bankId, to).entries) {
+        if (e.date < from || e.date > to || !(e.forfeit || e.capLost)) continue;
+        if (!losses.has(e.date)) losses.set(e.date, { forfeit: 0, capLost: 0 });
+        const loss = losses.get(e.date);
+        loss.forfeit += e.forfeit || 0;
+        loss.capLost += e.capLost || 0;
+      }
+      return losses;
+    }
+
+    // Daily forecast of the given banks from a start date through `days` days
+    // later: each day's accrual, PTO used, credits, forfeits, snapshot
+    // adjustments and closing balance per bank, as { date, banks: { [bankId]: day } }
+    function forecastDays(startDate, days, bankIds) {
+      const start = clampDate(startDate);
+      const end = addDays(start, days);
+      const perBank = bankIds.map((bankId) => {
+        const ledger = ledgerFor(bankId, end);
+        const flows = new Map();
+        for (const e of ledger.entries) {
+          if (e.date < ymd(start) || e.date > ymd(end)) continue;
+          const day = flows.get(e.date) || { accrual: 0, pto: 0, credit: 0, reset: 0, snapshot: 0 };
+          day[e.type] += e.hours;
+          flows.set(e.date, day);
+        }
+        return { bankId, flows, series: ledgerSeries(ledger, start, days) };
+      });
+      const result = [];
+      for (let i = 0; i <= days; i++) {
+        const date = ymd(addDays(start, i));
+        const banks = {};
+        for (const { bankId, flows, series } of perBank) {
+          const day = flows.get(date) || { accrual: 0, pto: 0, credit: 0, reset: 0, snapshot: 0 };
+          banks[bankId] = {
+            accrual: day.accrual,
+            ptoUsed: -day.pto || 0,
+            credits: day.credit,
+            forfeited: -day.reset || 0,
+            adjustment: day.snapshot,
+            balance: series[i].y,
+          };
+        }
+        result.push({ date, banks });
+      }
+      return result;
+    }
+
+    // Daily forecast CSV for the given banks: accrual, PTO used, credits,
+    // forfeits, snapshot adjustments and the running balance of each bank,
+    // followed by the balance of each extra line (e.g. scenarios)
+    function forecastCsv(startDate, days, bankIds, extraLines = []) {
+      const prefix = (bankId) => (bankIds.length > 1 ? `${getBank(bankId).name} ` : '');
+      const header = ['date'];
+      for (const bankId of bankIds) {
+        header.push(...['accrual', 'pto_used', 'credits', 'forfeited', 'adjustment', 'balance'].map((name) => csvField(`${prefix(bankId)}${name}`)));
+      }
+      header.push(...extraLines.map((line) => csvField(`${line.label} balance`)));
+      const rows = [header.join(',')];
+      forecastDays(startDate, days, bankIds).forEach(({ date, banks }, i) => {
+        const row = [date];
+        for (const bankId of bankIds) {
+          const day = banks[bankId];
+          row.push(...[day.accrual, day.ptoUsed, day.credits, day.forfeited, day.adjustment, day.balance].map((v) => (v || 0).toFixed(2)));
+        }
+        for (const line of extraLines) row.push(line.series[i].y.toFixed(2));
+        rows.push(row.join(','));
+      });
+      return rows.join('\n');
+    }
+
+    // Drop cached calendar and accrual data derived from the state
+    function clearCaches() {
+      holidayCache.clear();
+      scheduleCache = null;
+      accrualRuleCache.clear();
+      recurrenceCache.clear();
+      ledgerCache.clear();
+    }
+
+    return {
+      holidaysInYear, holidayName, isWorkday, workdaysBetweenInclusive, holidaysBetween,
+      sortedSchedules, scheduleOn, scheduledHoursOn, accrualRules, accrualsBetween,
+      getPaydaysBetween, countPaydays, nextPayday, getBank, bankEntries, defaultPTOHours,
+      ptoRangeCharges, ptoRangeHours, hasBalancePolicy, resetDateInYear, nextResetAfter,
+      balanceAnchors, totalBalanceLosses, latestPTODate, totalFuturePTO, balanceCheck, ptoRangeCheck, findAffordableTrips, recurringEntries,
+      plannedPTO, plannedCredits, buildLedger, ledgerFor, getBalanceOn, snapshotDrift,
+      balanceLossesByDate, forecastDays, forecastCsv, clearCaches,
+    };
+  }
+
+  return {
+    MS_PER_DAY, fmt, ymd, toDateOnlyUTC, clampDate, addDays, daysBetween, isWeekday,
+    weekdaysBetweenInclusive, csvField, FEDERAL_HOLIDAY_RULES, nthWeekdayOfMonth, observedDate,
+    holidayRuleDate, STANDARD_WEEK, WEEKDAY_NAMES, weekStart, scheduleHoursForDate, describeWeek,
+    PAY_SCHEDULE_TYPES, nextPaydayOnOrAfter, buildAccrualRules, paydaysForRule, SCHEMA_VERSION,
+    BUNDLE_TYPE, MIGRATIONS, migrateV3toV4, migrateState, ID_PATTERN, isDateString, validateState, ENTRY_LISTS,
+    repairState, checkState, DEFAULT_BANK, BANK_FIELDS, RECURRENCE_FREQS, SCENARIO_FIELDS, DEFAULTS,
+    normalizeHolidays, normalizeBanks, normalizeState, removeBank, ptoRangeError, policyLimit, isValidResetDate,
+    FORECAST_DAYS, describeBalanceCheck, RECURRENCE_HORIZON_DAYS, MAX_OCCURRENCES,
+    recurrenceDate, recurrenceDates, recurringOccurrences, recurrenceHorizon, describeRecurrence,
+    LEDGER_ORDER, lastIndexOnOrBefore, ledgerBalanceOn, ledgerSeries, parseCsv, CSV_COLUMNS, mapCsvColumns,
+    csvDate, readCsvRows, createPlanner,
+  };
+});
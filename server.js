@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/*
+ * Vacation Balance Planner — server.js
+ *
+ * A small REST server the page can sync its plans with, so they survive a
+ * cleared browser cache and follow you to another computer. Each plan is a
+ * JSON file { name, state } in one directory:
+ *
+ *   GET    /plans       every plan as [{ id, name, etag, updatedAt }]
+ *   GET    /plans/<id>  one plan, with its version in the ETag header
+ *   PUT    /plans/<id>  create or replace a plan
+ *   DELETE /plans/<id>  delete a plan
+ *
+ * A PUT or DELETE with If-Match is refused with 412 when the plan changed
+ * since that version, and a PUT with If-None-Match: * when the plan already
+ * exists; the 412 body holds the current plan so the page can offer a
+ * choice. Plans are validated with core.js before they are stored.
+ *
+ * Browsers only let pages from the origins given with --origin call the
+ * server; a request from any other page is refused with 403.
+ */
+
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { checkState, ID_PATTERN } = require('./core.js');
+
+const DEFAULTS = { port: 8787, host: '127.0.0.1', dir: 'plans' };
+
+// Largest request body accepted, in bytes
+const MAX_BODY = 1024 * 1024;
+
+// Longest profile name kept
+const MAX_NAME = 200;
+
+const USAGE = `Usage: vacation-planner-server [options]
+
+Options:
+  -p, --port <n>      Port to listen on (default: ${DEFAULTS.port})
+      --host <host>   Address to listen on (default: ${DEFAULTS.host}, this computer only)
+  -d, --dir <path>    Directory the plans are stored in (default: ./${DEFAULTS.dir})
+  -o, --origin <url>  Origin of the planner page allowed to sync, such as
+                      http://localhost:8080 (repeat for more than one)
+  -h, --help          Show this help
+`;
+
+// Sent to the origins allowed to sync, along with Access-Control-Allow-Origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+// A request refused with an HTTP status and a message, plus optional
+// { path, message } problems
+class HttpError extends Error {
+  constructor(status, message, problems) {
+    super(message);
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+/* =========================
+ * Plan files
+ * ========================= */
+
+// ETag of a plan file's contents
+function etagOf(text) {
+  return `"${crypto.createHash('sha256').update(text).digest('base64url').slice(0, 27)}"`;
+}
+
+// Whether an If-Match or If-None-Match header value names the ETag
+function matchesEtag(header, etag) {
+  return header.split(',').some((value) => value.trim() === '*' || value.trim() === etag);
+}
+
+// Read and write plan files in `dir`
+function createPlanStore(dir) {
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  // A plan as { text, plan, etag, updatedAt }, or null when there is none
+  function read(id) {
+    let text;
+    let stat;
+    try {
+      text = fs.readFileSync(file(id), 'utf8');
+      stat = fs.statSync(file(id));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    return { text, plan: JSON.parse(text), etag: etagOf(text), updatedAt: stat.mtime.toISOString() };
+  }
+
+  // Every plan as { id, name, etag, updatedAt }, sorted by id. Files that
+  // cannot be read or parsed are left out and logged; files deleted since
+  // the directory was read are left out.
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    const plans = [];
+    for (const name of fs.readdirSync(dir).sort()) {
+      const id = name.slice(0, -5);
+      if (!name.endsWith('.json') || !ID_PATTERN.test(id)) continue;
+      let current;
+      try {
+        current = read(id);
+      } catch (err) {
+        console.error(`vacation-planner-server: skipping ${file(id)}: ${err.message}`);
+        continue;
+      }
+      if (current) plans.push({ id, name: current.plan.name, etag: current.etag, updatedAt: current.updatedAt });
+    }
+    return plans;
+  }
+
+  // Store a plan and return its new ETag. The new file replaces the old one
+  // in a single rename, so an interrupted write never leaves half a plan.
+  function write(id, plan) {
+    fs.mkdirSync(dir, { recursive: true });
+    const text = JSON.stringify(plan, null, 2);
+    const temp = path.join(dir, `.${id}.${process.pid}.tmp`);
+    fs.writeFileSync(temp, text);
+    fs.renameSync(temp, file(id));
+    return etagOf(text);
+  }
+
+  function remove(id) {
+    fs.rmSync(file(id), { force: true });
+  }
+
+  return { read, list, write, remove };
+}
+
+/* =========================
+ * Requests
+ * ========================= */
+
+// Read a request body as JSON, refusing bodies over MAX_BODY. The rest of
+// a body that is too large is read and dropped so the client gets the 413.
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY) return reject(new HttpError(413, `the plan is larger than ${MAX_BODY} bytes`));
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(new HttpError(400, `the body is not valid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// A { name, state } body checked the way the page checks imported plans,
+// with older plan versions migrated
+function checkPlan(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'the body must be an object { name, state }');
+  const { data, errors } = checkState(body.state);
+  if (errors.length) throw new HttpError(422, 'the plan is not valid', errors.map((e) => ({ ...e, path: `state.${e.path}` })));
+  return { name: String(body.name ?? '').trim().slice(0, MAX_NAME) || 'Plan', state: data };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Cache-Control': 'no-store', ...headers, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// Refuse a change when the plan is not the version the client based it on.
+// The 412 carries the current plan, or null when it does not exist.
+function checkPreconditions(req, res, current) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  const changed = (ifMatch !== undefined && !(current && matchesEtag(ifMatch, current.etag))) || (ifNoneMatch !== undefined && current && matchesEtag(ifNoneMatch, current.etag));
+  if (!changed) return true;
+  send(res, 412, { error: current ? 'the plan was changed since that version' : 'the plan does not exist', plan: current ? current.plan : null }, current ? { ETag: current.etag } : {});
+  return false;
+}
+
+async function handlePlan(req, res, store, id) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    const current = store.read(id);
+    if (!current) throw new HttpError(404, `no plan "${id}"`);
+    return send(res, 200, req.method === 'GET' ? current.plan : undefined, { ETag: current.etag, 'Last-Modified': new Date(current.updatedAt).toUTCString() });
+  }
+  if (req.method === 'PUT') {
+    const plan = checkPlan(await readJson(req));
+    // Read only now that the body is in, so a change made meanwhile is seen
+    const current = store.read(id);
+    if (!checkPreconditions(req, res, current)) return;
+    return send(res, current ? 200 : 201, { id, name: plan.name }, { ETag: store.write(id, plan) });
+  }
+  if (req.method === 'DELETE') {
+    const current = store.read(id);
+    if (!current) throw new HttpError(404, `no plan "${id}"`);
+    if (!checkPreconditions(req, res, current)) return;
+    store.remove(id);
+    return send(res, 204);
+  }
+  throw new HttpError(405, `${req.method} is not supported on a plan`);
+}
+
+// Create the HTTP server for the plans in `dir`, callable from pages on the
+// `origins` given. Requests without an Origin header, such as from curl,
+// are always served. Call listen() on it.
+function createSyncServer({ dir = DEFAULTS.dir, origins = [] } = {}) {
+  const store = createPlanStore(dir);
+  const allowed = new Set(origins);
+  return http.createServer(async (req, res) => {
+    const { origin } = req.headers;
+    if (origin !== undefined) {
+      if (!allowed.has(origin)) return send(res, 403, { error: `pages on ${origin} may not sync with this server; start it with --origin ${origin} to allow them` });
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      for (const [name, value] of Object.entries(CORS_HEADERS)) res.setHeader(name, value);
+    }
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (req.method === 'OPTIONS') return send(res, 204);
+      if (pathname === '/plans' || pathname === '/plans/') {
+        if (req.method !== 'GET') throw new HttpError(405, `${req.method} is not supported on the plan list`);
+        return send(res, 200, store.list());
+      }
+      const match = /^\/plans\/([^/]+)$/.exec(pathname);
+      if (!match) throw new HttpError(404, `nothing at ${pathname}; plans are under /plans`);
+      let id;
+      try {
+        id = decodeURIComponent(match[1]);
+      } catch {
+        throw new HttpError(400, `"${match[1]}" is not a valid plan id`);
+      }
+      if (!ID_PATTERN.test(id)) throw new HttpError(400, `"${id}" is not a valid plan id`);
+      await handlePlan(req, res, store, id);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      if (res.headersSent) return res.end();
+      const status = err instanceof HttpError ? err.status : 500;
+      send(res, status, { error: err instanceof HttpError ? err.message : 'internal error', ...(err.problems ? { problems: err.problems } : {}) }, status === 405 ? { Allow: 'GET, PUT, DELETE, OPTIONS' } : {});
+    }
+  });
+}
+
+// Start the server from the command line. Returns an exit code when it
+// does not start.
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs({
+      args: argv,
+      options: { port: { type: 'string', short: 'p' }, host: { type: 'string' }, dir: { type: 'string', short: 'd' }, origin: { type: 'string', short: 'o', multiple: true }, help: { type: 'boolean', short: 'h' } },
+    }).values;
+  } catch (err) {
+    console.error(`vacation-planner-server: ${err.message}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE.trimEnd());
+    return 0;
+  }
+  const port = Number(options.port ?? DEFAULTS.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`vacation-planner-server: --port must be a port number, not "${options.port}"`);
+    return 2;
+  }
+  const host = options.host ?? DEFAULTS.host;
+  const dir = path.resolve(options.dir ?? DEFAULTS.dir);
+  const origins = (options.origin ?? []).map((value) => value.replace(/\/+$/, ''));
+  const server = createSyncServer({ dir, origins });
+  server.on('error', (err) => {
+    console.error(`vacation-planner-server: ${err.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(port, host, () => {
+    console.log(`Syncing plans at http://${host}:${server.address().port}, stored in ${dir}`);
+    if (!origins.length) console.log('No --origin given: browser pages cannot sync until one is allowed');
+  });
+}
+
+module.exports = { createSyncServer, ID_PATTERN };
+
+if (require.main === module) {
+  const code = main(process.argv.slice(2));
+  if (code !== undefined) process.exitCode = code;
+}
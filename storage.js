@@ -0,0 +1,213 @@
+/*
+ * Vacation Balance Planner — storage.js
+ *
+ * Where plans are kept. An adapter stores each profile's plan (the state as
+ * JSON text) under the profile's id and tags every stored version with an
+ * ETag. A save can name the version it was based on; when the stored plan
+ * has changed since, the save is refused with a ConflictError instead of
+ * overwriting the other change.
+ *
+ * Two adapters share the same methods:
+ * - createLocalAdapter(storage) keeps plans in localStorage, as the page
+ *   always has. It answers synchronously.
+ * - createHttpAdapter(baseUrl) keeps them on the REST server in server.js.
+ *   It answers with promises.
+ * Callers that `await` the results work with either.
+ *
+ * Loaded by a <script> tag this defines the global `VacationStorage`;
+ * required from Node it is the module's exports.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.VacationStorage = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // localStorage keys: the profile index, and one state entry per profile
+  const PROFILE_INDEX_KEY = 'vacation_planner_profiles_v1';
+  const STATE_KEY = 'vacation_planner_state_v3';
+
+  // Storage key of a profile's state
+  function stateKey(profileId) {
+    return `${STATE_KEY}:${profileId}`;
+  }
+
+  // Storage key of the time a profile's state was last saved (an ISO string)
+  function savedAtKey(profileId) {
+    return `${stateKey(profileId)}:savedAt`;
+  }
+
+  // A save or delete refused because the stored plan changed since the
+  // version it was based on. `current` is the stored plan as
+  // { json, name, etag }, or null when it no longer exists.
+  class ConflictError extends Error {
+    constructor(message, current = null) {
+      super(message);
+      this.name = 'ConflictError';
+      this.current = current;
+    }
+  }
+
+  /* =========================
+   * localStorage
+   * ========================= */
+
+  // Plans in a Storage object. The ETag of a plan is the time it was saved,
+  // which also drives the page's "last saved" indicator. Profile names live
+  // in the profile index, which the page maintains, so `name` is not stored
+  // by save().
+  function createLocalAdapter(storage) {
+    // The plan's ETag, null when it is not stored
+    function etagOf(profileId) {
+      return storage.getItem(stateKey(profileId)) === null ? null : storage.getItem(savedAtKey(profileId)) || '';
+    }
+
+    function nameOf(profileId) {
+      try {
+        const index = JSON.parse(storage.getItem(PROFILE_INDEX_KEY));
+        const profile = index && Array.isArray(index.profiles) && index.profiles.find((p) => p.id === profileId);
+        return profile ? String(profile.name) : '';
+      } catch {
+        return '';
+      }
+    }
+
+    // Refuse a change based on another version than the stored one.
+    // `etag` undefined skips the check; null means the plan must not exist.
+    function checkVersion(profileId, etag, action) {
+      if (etag === undefined || etag === etagOf(profileId)) return;
+      throw new ConflictError(`The plan was changed since it was loaded and was not ${action}`, load(profileId));
+    }
+
+    // Every stored plan listed in the profile index as { id, name, etag }
+    function list() {
+      let index = null;
+      try {
+        index = JSON.parse(storage.getItem(PROFILE_INDEX_KEY));
+      } catch {
+        // no readable index, so no plans
+      }
+      const listed = index && Array.isArray(index.profiles) ? index.profiles : [];
+      return listed.filter((p) => etagOf(p.id) !== null).map((p) => ({ id: p.id, name: String(p.name), etag: etagOf(p.id) }));
+    }
+
+    // A plan as { json, name, etag }, or null when it is not stored
+    function load(profileId) {
+      const json = storage.getItem(stateKey(profileId));
+      if (json === null) return null;
+      return { json, name: nameOf(profileId), etag: storage.getItem(savedAtKey(profileId)) || '' };
+    }
+
+    // Store a plan and return its new { etag }. The save time never repeats
+    // or goes back, so every save gets a new ETag. Throws when storage is
+    // full or unavailable.
+    function save(profileId, json, { etag } = {}) {
+      checkVersion(profileId, etag, 'saved');
+      const previous = Date.parse(storage.getItem(savedAtKey(profileId)));
+      const savedAt = new Date(Math.max(Date.now(), previous + 1 || 0)).toISOString();
+      storage.setItem(stateKey(profileId), json);
+      storage.setItem(savedAtKey(profileId), savedAt);
+      return { etag: savedAt };
+    }
+
+    // Delete a plan (nothing happens when it is not stored)
+    function remove(profileId, etag) {
+      checkVersion(profileId, etag, 'deleted');
+      storage.removeItem(stateKey(profileId));
+      storage.removeItem(savedAtKey(profileId));
+    }
+
+    return { kind: 'local', list, load, save, remove };
+  }
+
+  /* =========================
+   * HTTP server
+   * ========================= */
+
+  // Plans on a sync server (server.js) at `baseUrl`, stored at
+  // `${baseUrl}/plans/<id>` as { name, state }. The server's ETag header
+  // versions each plan and If-Match / If-None-Match guard every change.
+  function createHttpAdapter(baseUrl, fetchImpl = (...args) => fetch(...args)) {
+    const base = String(baseUrl).replace(/\/+$/, '');
+    const planUrl = (profileId) => `${base}/plans/${encodeURIComponent(profileId)}`;
+
+    async function request(url, options = {}) {
+      try {
+        return await fetchImpl(url, { cache: 'no-store', ...options });
+      } catch (err) {
+        throw new Error(`Cannot reach the sync server at ${base} (${err.message})`);
+      }
+    }
+
+    // The error for a response the server refused, with its explanation
+    async function failure(response) {
+      let message = `${response.status} ${response.statusText}`.trim();
+      try {
+        const body = await response.json();
+        if (body && body.error) message = body.error;
+        if (body && Array.isArray(body.problems)) message += `: ${body.problems.map((p) => `${p.path} ${p.message}`).join('; ')}`;
+      } catch {
+        // not a JSON body; keep the status line
+      }
+      return new Error(`The sync server refused the request: ${message}`);
+    }
+
+    // The ConflictError for a 412 response, which carries the current plan
+    async function conflict(response, action) {
+      let current = null;
+      try {
+        const body = await response.json();
+        if (body && body.plan) current = { json: JSON.stringify(body.plan.state), name: String(body.plan.name), etag: response.headers.get('ETag') };
+      } catch {
+        // no current plan in the body
+      }
+      return new ConflictError(`The plan was changed on the sync server and was not ${action}`, current);
+    }
+
+    // Precondition headers for a change based on `etag` (see the local adapter)
+    function preconditions(etag) {
+      if (etag === null) return { 'If-None-Match': '*' };
+      return etag === undefined ? {} : { 'If-Match': etag };
+    }
+
+    // Every plan on the server as { id, name, etag, updatedAt }
+    async function list() {
+      const response = await request(`${base}/plans`);
+      if (!response.ok) throw await failure(response);
+      return response.json();
+    }
+
+    // A plan as { json, name, etag }, or null when the server has none
+    async function load(profileId) {
+      const response = await request(planUrl(profileId));
+      if (response.status === 404) return null;
+      if (!response.ok) throw await failure(response);
+      const plan = await response.json();
+      return { json: JSON.stringify(plan.state), name: String(plan.name), etag: response.headers.get('ETag') };
+    }
+
+    // Store a plan with its profile name and return its new { etag }
+    async function save(profileId, json, { etag, name = '' } = {}) {
+      const response = await request(planUrl(profileId), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...preconditions(etag) },
+        body: `{"name":${JSON.stringify(name)},"state":${json}}`,
+      });
+      if (response.status === 412) throw await conflict(response, 'saved');
+      if (!response.ok) throw await failure(response);
+      return { etag: response.headers.get('ETag') };
+    }
+
+    // Delete a plan (nothing happens when the server has none)
+    async function remove(profileId, etag) {
+      const response = await request(planUrl(profileId), { method: 'DELETE', headers: preconditions(etag) });
+      if (response.status === 412) throw await conflict(response, 'deleted');
+      if (!response.ok && response.status !== 404) throw await failure(response);
+    }
+
+    return { kind: 'http', url: base, list, load, save, remove };
+  }
+
+  return { PROFILE_INDEX_KEY, STATE_KEY, stateKey, savedAtKey, ConflictError, createLocalAdapter, createHttpAdapter };
+});
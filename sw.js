@@ -0,0 +1,96 @@
+/*
+ * Vacation Balance Planner — sw.js
+ *
+ * Service worker that keeps the planner usable offline. The page, its
+ * scripts, icons and the Tailwind CDN script are cached on install.
+ * Files from this site come from the network first, so a new version
+ * shows up on the next load, and from the cache when offline; the CDN
+ * script is served from the cache and refreshed in the background.
+ */
+
+// Bump the version when ASSETS changes so old caches are dropped
+const CACHE = 'vacation-planner-v2';
+
+// The app shell, relative to this worker
+const ASSETS = [
+  './',
+  'index.html',
+  'core.js',
+  'storage.js',
+  'app.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+
+// Scripts the page loads from other sites. They are fetched without CORS,
+// so the cache holds opaque responses that only a <script> tag can use.
+const CDN_ASSETS = ['https://cdn.tailwindcss.com'];
+const CDN_ORIGINS = new Set(CDN_ASSETS.map((url) => new URL(url).origin));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(ASSETS);
+      // A CDN outage must not keep the rest of the app from installing
+      await Promise.all(
+        CDN_ASSETS.map((url) =>
+          fetch(url, { mode: 'no-cors' })
+            .then((response) => cache.put(url, response))
+            .catch(() => {})
+        )
+      );
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      for (const key of await caches.keys()) {
+        if (key !== CACHE) await caches.delete(key);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+// This site's files: the network when it answers, otherwise the cached copy.
+// Any page navigation falls back to the cached planner page.
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = (await cache.match(request, { ignoreSearch: true })) || (request.mode === 'navigate' && (await cache.match('index.html')));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// CDN files: the cached copy right away, refreshed for the next load
+async function cacheFirst(event) {
+  const cache = await caches.open(CACHE);
+  const refresh = fetch(event.request)
+    .then((response) => cache.put(event.request, response.clone()).then(() => response))
+    .catch(() => null);
+  const cached = await cache.match(event.request);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || Response.error();
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const { origin } = new URL(request.url);
+  if (origin === self.location.origin) event.respondWith(networkFirst(request));
+  else if (CDN_ORIGINS.has(origin)) event.respondWith(cacheFirst(event));
+});
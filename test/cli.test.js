@@ -0,0 +1,140 @@
+// Tests for the command-line interface (cli.js). Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { main, EXIT } = require('../cli.js');
+const { normalizeState, createPlanner } = require('../core.js');
+
+const PLAN = {
+  schemaVersion: 4,
+  startDate: '2026-01-01',
+  banks: [
+    { id: 'vacation', name: 'Vacation', startBalance: 40, accrualPerPeriod: 4, firstPayday: '2026-01-08', payFrequencyDays: 14 },
+    { id: 'sick', name: 'Sick', startBalance: 8, accrualPerPeriod: 3, firstPayday: '2026-01-15', payScheduleType: 'semimonthly' },
+  ],
+  ptoRanges: [{ from: '2026-03-02', to: '2026-03-06', bank: 'vacation', note: 'Ski' }],
+  credits: [{ date: '2026-05-01', hours: 16, bank: 'vacation', note: 'Comp' }],
+};
+
+// Temporary directories made by planFile, removed after the tests
+const dirs = [];
+test.after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Write a plan to a fresh temporary file and return its path
+function planFile(data = PLAN) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vacation-planner-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'vacation_planner_state.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+}
+
+// Run the CLI and collect its exit code and output lines
+function run(...args) {
+  const stdout = [];
+  const stderr = [];
+  const code = main(args, (line) => stdout.push(line), (line) => stderr.push(line));
+  return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+}
+
+test('balance matches the core calculation', () => {
+  const file = planFile();
+  const expected = createPlanner(normalizeState(PLAN)).getBalanceOn('2026-06-01', 'vacation');
+  const result = run('balance', '--file', file, '--date', '2026-06-01', '--json');
+  assert.equal(result.code, EXIT.ok);
+  assert.deepEqual(JSON.parse(result.stdout), { bank: 'vacation', date: '2026-06-01', balance: expected });
+  assert.equal(run('balance', '-f', file, '-d', '2026-06-01').stdout, `Vacation balance on 2026-06-01: ${expected.toFixed(2)} h`);
+});
+
+test('banks are picked by id or by name', () => {
+  const file = planFile();
+  assert.equal(JSON.parse(run('balance', '-f', file, '-d', '2026-01-31', '-b', 'SICK', '--json').stdout).balance, 14);
+  const unknown = run('balance', '-f', file, '-b', 'comp');
+  assert.equal(unknown.code, EXIT.usage);
+  assert.match(unknown.stderr, /no bank "comp"; the plan has vacation, sick/);
+});
+
+test('next payday on or after a date', () => {
+  const file = planFile();
+  assert.deepEqual(JSON.parse(run('next-payday', '-f', file, '-d', '2026-01-09', '--json').stdout).payday, { date: '2026-01-22', hours: 4 });
+  assert.equal(run('next-payday', '-f', file, '-d', '2026-02-16', '-b', 'sick').stdout, 'Next Sick payday on or after 2026-02-16: 2026-02-28 (+3.00 h)');
+});
+
+test('forecast as CSV and JSON', () => {
+  const file = planFile();
+  const csv = run('forecast', '-f', file, '--from', '2026-03-01', '--to', '2026-03-03', '-b', 'vacation').stdout.split('\n');
+  assert.deepEqual(csv, [
+    'date,accrual,pto_used,credits,forfeited,adjustment,balance',
+    '2026-03-01,0.00,0.00,0.00,0.00,0.00,56.00',
+    '2026-03-02,0.00,8.00,0.00,0.00,0.00,48.00',
+    '2026-03-03,0.00,8.00,0.00,0.00,0.00,40.00',
+  ]);
+  const json = JSON.parse(run('forecast', '-f', file, '--from', '2026-02-28', '--to', '2026-03-01', '--format', 'json').stdout);
+  assert.deepEqual(json.map((d) => d.date), ['2026-02-28', '2026-03-01']);
+  assert.deepEqual(Object.keys(json[0].banks), ['vacation', 'sick']);
+  assert.deepEqual(json[0].banks.sick, { accrual: 3, ptoUsed: 0, credits: 0, forfeited: 0, adjustment: 0, balance: 20 });
+  assert.equal(run('forecast', '-f', file, '--from', '2026-03-03', '--to', '2026-03-01').code, EXIT.usage);
+  assert.equal(run('forecast', '-f', file, '--format', 'xml').code, EXIT.usage);
+});
+
+test('add-pto writes the range with its charged hours', () => {
+  const file = planFile();
+  const result = run('add-pto', '-f', file, '--from', '2026-07-02', '--to', '2026-07-06', '--note', 'Lake');
+  assert.equal(result.code, EXIT.ok, result.stderr);
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(saved.ptoRanges[1], { from: '2026-07-02', to: '2026-07-06', bank: 'vacation', note: 'Lake', hours: 16 });
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['vacation_planner_state.json']);
+});
+
+test('add-pto refuses a range below the floor unless forced', () => {
+  const file = planFile();
+  const before = fs.readFileSync(file, 'utf8');
+  const refused = run('add-pto', '-f', file, '--from', '2027-01-04', '--to', '2027-03-31');
+  assert.equal(refused.code, EXIT.belowFloor);
+  assert.match(refused.stderr, /below the 0\.00 h floor .* Use --force/);
+  assert.equal(fs.readFileSync(file, 'utf8'), before);
+  assert.equal(run('add-pto', '-f', file, '--from', '2027-01-04', '--to', '2027-03-31', '--force').code, EXIT.ok);
+});
+
+test('add-pto and add-credit validate their input', () => {
+  const file = planFile();
+  assert.match(run('add-pto', '-f', file, '--from', '2026-07-06').stderr, /--to is required/);
+  assert.match(run('add-pto', '-f', file, '--from', '2026-07-06', '--to', '2026-07-02').stderr, /must not be before/);
+  assert.match(run('add-pto', '-f', file, '--from', '2026-07-06', '--to', '2026-07-06', '--hours', 'x').stderr, /zero or more hours/);
+  assert.equal(run('add-credit', '-f', file, '--hours', '0').code, EXIT.usage);
+  assert.equal(run('add-credit', '-f', file, '-d', '2026-13-01', '--hours', '8').code, EXIT.usage);
+  assert.equal(run('add-credit', '-f', file, '-d', '2026-08-03', '--hours', '8', '-b', 'sick').code, EXIT.ok);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).credits[1], { date: '2026-08-03', hours: 8, bank: 'sick', note: '' });
+});
+
+test('missing and invalid plan files exit with 1 and list the problems', () => {
+  const missing = run('balance', '-f', path.join(os.tmpdir(), 'no-such-plan.json'));
+  assert.equal(missing.code, EXIT.invalidPlan);
+  assert.match(missing.stderr, /does not exist/);
+  assert.equal(run('balance', '-f', planFile('{ not json')).code, EXIT.invalidPlan);
+  const invalid = run('balance', '-f', planFile({ banks: [{ id: 'vacation', payFrequencyDays: 0 }], credits: [{ date: 'soon', hours: 8 }] }));
+  assert.equal(invalid.code, EXIT.invalidPlan);
+  assert.match(invalid.stderr, /banks\[0\]\.payFrequencyDays: /);
+  assert.match(invalid.stderr, /credits\[0\]\.date: /);
+  assert.equal(run('balance', '-f', planFile({ type: 'vacation-planner-bundle', profiles: [] })).code, EXIT.invalidPlan);
+});
+
+test('flat version 3 exports are migrated', () => {
+  const file = planFile({ startDate: '2026-01-01', startBalance: 10, accrualPerPeriod: 4, firstPayday: '2026-01-08', payFrequencyDays: 14 });
+  assert.equal(JSON.parse(run('balance', '-f', file, '-d', '2026-01-08', '--json').stdout).balance, 14);
+});
+
+test('usage errors exit with 2', () => {
+  assert.equal(run().code, EXIT.usage);
+  assert.equal(run('frobnicate').code, EXIT.usage);
+  assert.equal(run('balance', '--bogus').code, EXIT.usage);
+  assert.equal(run('balance', 'extra').code, EXIT.usage);
+  const help = run('--help');
+  assert.equal(help.code, EXIT.ok);
+  assert.match(help.stdout, /^Usage: vacation-planner <command>/);
+});
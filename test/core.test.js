@@ -0,0 +1,427 @@
+// Tests for the DOM-free core (core.js). Run with `npm test`.
+
+// Run in a zone with daylight saving time so any local-time arithmetic would
+// show up as an off-by-one day around the March and November changes
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const {
+  MS_PER_DAY, ymd, toDateOnlyUTC, addDays, daysBetween, weekdaysBetweenInclusive,
+  nthWeekdayOfMonth, observedDate, nextPaydayOnOrAfter, buildAccrualRules, paydaysForRule,
+  scheduleHoursForDate, isDateString, validateState, checkState, normalizeState, removeBank, policyLimit, recurrenceDates,
+  recurringOccurrences, ledgerSeries, readCsvRows, createPlanner,
+} = core;
+
+const day = (key) => toDateOnlyUTC(key);
+
+// A one-bank plan starting 2026-01-01 with 40 h and 4 h every other Thursday
+function plan(overrides = {}, bank = {}) {
+  return normalizeState({
+    startDate: '2026-01-01',
+    banks: [{ id: 'vacation', name: 'Vacation', startBalance: 40, accrualPerPeriod: 4, firstPayday: '2026-01-08', payFrequencyDays: 14, ...bank }],
+    ...overrides,
+  });
+}
+
+test.describe('dates in UTC', () => {
+  test('dates stay at UTC midnight across daylight saving changes', () => {
+    for (let d = day('2026-03-06'); d <= day('2026-03-10'); d = addDays(d, 1)) {
+      assert.equal(d.getUTCHours(), 0);
+    }
+    assert.equal(ymd(addDays(day('2026-03-07'), 2)), '2026-03-09');
+    assert.equal(ymd(addDays(day('2026-10-31'), 2)), '2026-11-02');
+  });
+
+  test('day counts ignore the 23 and 25 hour local days', () => {
+    assert.equal(daysBetween('2026-03-07', '2026-03-09'), 2);
+    assert.equal(daysBetween('2026-10-31', '2026-11-02'), 2);
+    assert.equal(weekdaysBetweenInclusive(day('2026-03-02'), day('2026-03-13')), 10);
+  });
+
+  test('biweekly paydays stay exactly 14 days apart through the year', () => {
+    const rules = buildAccrualRules({ firstPayday: '2026-01-08', payFrequencyDays: 14, accrualPerPeriod: 4 });
+    const paydays = createPlanner(plan()).getPaydaysBetween(day('2026-01-01'), day('2026-12-31'), rules);
+    assert.equal(paydays.length, 26);
+    paydays.slice(1).forEach((d, i) => assert.equal(d - paydays[i], 14 * MS_PER_DAY));
+  });
+
+  test('observed holidays', () => {
+    assert.equal(ymd(nthWeekdayOfMonth(2026, 11, 4, 4)), '2026-11-26');
+    assert.equal(ymd(nthWeekdayOfMonth(2026, 5, 1, -1)), '2026-05-25');
+    assert.equal(ymd(observedDate(day('2026-07-04'))), '2026-07-03');
+  });
+});
+
+test.describe('leap years', () => {
+  test('February 29 exists only in leap years', () => {
+    assert.equal(isDateString('2028-02-29'), true);
+    assert.equal(isDateString('2027-02-29'), false);
+    assert.equal(daysBetween('2028-02-28', '2028-03-01'), 2);
+    assert.equal(daysBetween('2027-02-28', '2027-03-01'), 1);
+  });
+
+  test('semi-monthly and monthly paydays land on the last day of February', () => {
+    const semimonthly = buildAccrualRules({ firstPayday: '2026-01-15', payScheduleType: 'semimonthly', accrualPerPeriod: 5 });
+    assert.deepEqual(paydaysForRule(semimonthly[0], day('2028-02-01'), day('2028-02-29')).map(ymd), ['2028-02-15', '2028-02-29']);
+    assert.deepEqual(paydaysForRule(semimonthly[0], day('2026-02-01'), day('2026-02-28')).map(ymd), ['2026-02-15', '2026-02-28']);
+    const monthly = buildAccrualRules({ firstPayday: '2027-01-31', payScheduleType: 'monthly', payDayOfMonth: 31, accrualPerPeriod: 8 });
+    assert.deepEqual(paydaysForRule(monthly[0], day('2027-02-01'), day('2028-03-31')).filter((d) => d.getUTCMonth() === 1).map(ymd), ['2027-02-28', '2028-02-29']);
+  });
+
+  test('a yearly rule started on February 29 falls back to the 28th', () => {
+    const rule = { start: '2028-02-29', freq: 'yearly', interval: 1, exceptions: {} };
+    assert.deepEqual(recurrenceDates(rule, '2032-12-31'), ['2028-02-29', '2029-02-28', '2030-02-28', '2031-02-28', '2032-02-29']);
+  });
+});
+
+test.describe('work schedules', () => {
+  test('a 9/80 schedule works every other Friday', () => {
+    const nineEighty = { effective: '2026-01-04', weekA: [0, 9, 9, 9, 9, 8, 0], weekB: [0, 9, 9, 9, 9, 0, 0] };
+    assert.equal(scheduleHoursForDate(nineEighty, day('2026-01-09')), 8);
+    assert.equal(scheduleHoursForDate(nineEighty, day('2026-01-16')), 0);
+    assert.equal(scheduleHoursForDate(nineEighty, day('2026-01-23')), 8);
+    assert.equal(scheduleHoursForDate(nineEighty, day('2026-01-14')), 9);
+  });
+});
+
+test.describe('pay schedules', () => {
+  test('next payday and payday counts', () => {
+    assert.equal(ymd(nextPaydayOnOrAfter(day('2026-01-01'), day('2026-01-08'), 14)), '2026-01-08');
+    const planner = createPlanner(plan());
+    const rules = buildAccrualRules({ firstPayday: '2026-01-08', payFrequencyDays: 14, accrualPerPeriod: 4 });
+    assert.equal(planner.countPaydays(day('2026-01-22'), rules), 2);
+    assert.equal(ymd(planner.nextPayday(day('2026-01-09'))), '2026-01-22');
+  });
+
+  test('a rate change keeps the biweekly cadence', () => {
+    const tiered = buildAccrualRules({ firstPayday: '2026-01-08', payFrequencyDays: 14, accrualPerPeriod: 4, accrualRules: [{ effective: '2026-01-15', rate: 6, type: 'interval', frequencyDays: 14 }] });
+    const accruals = createPlanner(plan()).accrualsBetween(day('2026-01-01'), day('2026-01-31'), tiered);
+    assert.deepEqual(accruals.map((a) => `${ymd(a.date)}:${a.hours}`), ['2026-01-08:4', '2026-01-22:6']);
+  });
+});
+
+test.describe('invalid frequencies', () => {
+  test('validation reports bad pay frequencies by field', () => {
+    for (const payFrequencyDays of [0, -14, 1.5, 'biweekly']) {
+      const errors = validateState(plan({}, { payFrequencyDays }));
+      assert.deepEqual(errors.map((e) => e.path), ['banks[0].payFrequencyDays'], `payFrequencyDays ${payFrequencyDays}`);
+    }
+    const rule = { effective: '2026-06-01', rate: 5, type: 'interval', frequencyDays: 0 };
+    assert.deepEqual(validateState(plan({}, { accrualRules: [rule] })).map((e) => e.path), ['banks[0].accrualRules[0].frequencyDays']);
+  });
+
+  test('an unknown recurrence frequency is reported', () => {
+    const recurring = [{ id: 'r1', kind: 'pto', bank: 'vacation', start: '2026-06-05', freq: 'daily', interval: 1, hours: null, note: '', exceptions: {} }];
+    assert.deepEqual(validateState(plan({ recurring })).map((e) => e.path), ['recurring[0].freq']);
+  });
+
+  test('unvalidated frequencies fall back to every 14 days instead of looping', () => {
+    for (const payFrequencyDays of [0, -7, NaN, undefined]) {
+      const [rule] = buildAccrualRules({ firstPayday: '2026-01-08', payFrequencyDays, accrualPerPeriod: 4 });
+      assert.equal(rule.frequencyDays, 14);
+      assert.deepEqual(paydaysForRule(rule, day('2026-01-01'), day('2026-01-31')).map(ymd), ['2026-01-08', '2026-01-22']);
+    }
+    assert.equal(buildAccrualRules({ firstPayday: '2026-01-08', payScheduleType: 'weekly' })[0].type, 'interval');
+  });
+
+  test('flat version 3 data migrates and reports its invalid frequency', () => {
+    const migrated = checkState({ startBalance: 10, payFrequencyDays: 0, ptoRanges: [{ from: '2026-02-02', to: '2026-02-03' }] });
+    assert.equal(migrated.data.banks[0].id, 'vacation');
+    assert.equal(migrated.data.ptoRanges[0].bank, 'vacation');
+    assert.deepEqual(migrated.errors.map((e) => e.path), ['payFrequencyDays']);
+  });
+});
+
+test.describe('empty state', () => {
+  test('an empty object normalizes to a valid plan with the default bank', () => {
+    const state = normalizeState({});
+    assert.deepEqual(validateState(state), []);
+    assert.equal(state.banks.length, 1);
+    assert.deepEqual([state.ptoRanges, state.credits, state.recurring, state.workSchedules], [[], [], [], []]);
+  });
+
+  test('a plan with no PTO or credits only accrues', () => {
+    const planner = createPlanner(plan());
+    assert.deepEqual(planner.plannedPTO(), []);
+    assert.deepEqual(planner.plannedCredits(), []);
+    assert.equal(planner.getBalanceOn('2026-01-05'), 40);
+    assert.equal(planner.getBalanceOn('2026-02-05'), 40 + 3 * 4);
+    assert.equal(planner.totalFuturePTO('2026-01-01'), 0);
+  });
+
+  test('checkState rejects data that is not an object', () => {
+    for (const input of [null, [], 'plan']) {
+      assert.deepEqual(checkState(input).errors.map((e) => e.path), ['(root)']);
+    }
+  });
+
+  test('ids may only hold letters, digits, "-" and "_"', () => {
+    const markup = 'x"><img src=x onerror=alert(1)>';
+    const data = {
+      banks: [{ id: markup, name: 'Vacation' }],
+      recurring: [{ id: 'a b', kind: 'pto', start: '2026-01-02', freq: 'weekly' }],
+      scenarios: [{ id: 'x'.repeat(65), name: 'Long' }],
+    };
+    assert.deepEqual(validateState(data).map((e) => e.path), ['banks[0].id', 'recurring[0].id', 'scenarios[0].id']);
+    assert.deepEqual(validateState(plan({ recurring: [{ id: 'lqz1-ab_C', kind: 'pto', start: '2026-01-02', freq: 'weekly' }] })), []);
+  });
+});
+
+test.describe('banks', () => {
+  test('removing a bank takes its entries out of the plan and every scenario', () => {
+    const sick = { id: 'sick', name: 'Sick', startBalance: 16 };
+    const state = normalizeState({
+      startDate: '2026-01-01',
+      banks: [{ id: 'vacation', name: 'Vacation' }, sick],
+      ptoRanges: [{ from: '2026-03-02', to: '2026-03-03', bank: 'sick' }, { from: '2026-04-06', to: '2026-04-06', bank: 'vacation' }],
+      credits: [{ date: '2026-02-02', hours: 4, bank: 'sick' }],
+      recurring: [{ id: 'checkup', kind: 'pto', start: '2026-01-09', freq: 'monthly', bank: 'sick' }],
+      scenarios: [{
+        id: 'flu',
+        name: 'Flu season',
+        ptoRanges: [{ from: '2026-12-07', to: '2026-12-11', bank: 'sick' }, { from: '2026-12-21', to: '2026-12-24', bank: 'vacation' }],
+        credits: [{ date: '2026-06-01', hours: 8, bank: 'sick' }],
+        bankChanges: { sick: { accrualPerPeriod: 2 }, vacation: { accrualPerPeriod: 6 } },
+      }],
+    });
+    assert.deepEqual(validateState(state), []);
+    const { data, removed } = removeBank(state, 'sick');
+    assert.deepEqual(validateState(data), []);
+    assert.deepEqual(removed, { ptoRanges: 1, credits: 1, recurring: 1, scenarioEntries: 2 });
+    assert.deepEqual(data.banks.map((b) => b.id), ['vacation']);
+    assert.deepEqual(data.scenarios[0].ptoRanges.map((r) => r.from), ['2026-12-21']);
+    assert.deepEqual(data.scenarios[0].bankChanges, { vacation: { accrualPerPeriod: 6 } });
+    assert.equal(state.banks.length, 2);
+  });
+});
+
+test.describe('PTO ranges', () => {
+  test('half days and fixed totals', () => {
+    const planner = createPlanner(plan());
+    assert.equal(planner.ptoRangeHours({ from: '2026-01-05', to: '2026-01-06', dayHours: { '2026-01-06': 4 } }), 12);
+    assert.equal(planner.ptoRangeHours({ from: '2026-01-05', to: '2026-01-05', totalHours: 2 }), 2);
+  });
+
+  test('weekends and observed holidays are not charged', () => {
+    const planner = createPlanner(plan());
+    // Thursday 2026-07-02 through Monday 2026-07-06; Friday is the observed Independence Day
+    assert.equal(planner.ptoRangeHours({ from: '2026-07-02', to: '2026-07-06' }), 16);
+  });
+
+  test('a range crossing a payday charges before the payday accrues', () => {
+    // Wednesday through Friday around the Thursday 2026-01-08 payday
+    const planner = createPlanner(plan({ ptoRanges: [{ from: '2026-01-07', to: '2026-01-09', bank: 'vacation' }] }));
+    assert.equal(planner.getBalanceOn('2026-01-06'), 40);
+    assert.equal(planner.getBalanceOn('2026-01-07'), 32);
+    assert.equal(planner.getBalanceOn('2026-01-08'), 28);
+    assert.equal(planner.getBalanceOn('2026-01-09'), 20);
+    const sameDay = planner.ledgerFor('vacation', '2026-01-31').entries.filter((e) => e.date === '2026-01-08');
+    assert.deepEqual(sameDay.map((e) => e.type), ['pto', 'accrual']);
+  });
+
+  test('a payday inside a range offsets its charges in the floor check', () => {
+    // 72 h from 2026-01-12 through 2026-01-23 (Martin Luther King Day is off) with 4 h
+    // accrued on 2026-01-22: the balance reaches the floor that day and stays below it after
+    const planner = createPlanner(plan({ ptoRanges: [{ from: '2026-01-12', to: '2026-01-23', bank: 'vacation' }] }, { startBalance: 56 }));
+    const check = planner.balanceCheck('vacation', '2026-01-01', '2026-01-31');
+    assert.equal(planner.getBalanceOn('2026-01-22'), 0);
+    assert.deepEqual(check.lowest, { date: '2026-01-23', balance: -8 });
+    assert.deepEqual(check.below, [{ from: '2026-01-23', to: '2026-01-31', lowest: -8 }]);
+  });
+
+  test('checking a range leaves the plan untouched', () => {
+    // Freeze the planned ranges so any change to them throws
+    const state = plan();
+    Object.freeze(state.ptoRanges);
+    const planner = createPlanner(state);
+    const before = planner.getBalanceOn('2027-02-01');
+    const check = planner.ptoRangeCheck({ from: '2027-01-11', to: '2027-01-15', bank: 'vacation' });
+    assert.equal(check.floor, 0);
+    assert.deepEqual(state.ptoRanges, []);
+    assert.equal(planner.getBalanceOn('2027-02-01'), before);
+  });
+
+  test('the earliest affordable trip keeps the balance at or above the floor', () => {
+    // 24 h trips from 20 h with a 10 h floor: 32 h after the 2026-02-05 payday
+    // leaves 12 h after a trip ending on the 2026-02-19 payday
+    const state = plan({}, { startBalance: 20, balanceFloor: 10 });
+    const [trip] = createPlanner(state).findAffordableTrips('vacation', 3, '2026-01-01', 1);
+    assert.deepEqual({ from: trip.from, to: trip.to, hours: trip.hours }, { from: '2026-02-17', to: '2026-02-19', hours: 24 });
+    assert.ok(trip.lowest >= 10);
+    const withTrip = createPlanner({ ...state, ptoRanges: [{ from: trip.from, to: trip.to, bank: 'vacation' }] });
+    assert.deepEqual(withTrip.balanceCheck('vacation', '2026-01-01', '2027-01-01').below, []);
+  });
+});
+
+test.describe('recurring rules', () => {
+  test('every other Friday repeats two weeks apart until the end date', () => {
+    const rule = { start: '2026-06-05', freq: 'weekly', interval: 2, until: '2026-07-31', exceptions: {} };
+    assert.deepEqual(recurrenceDates(rule, '2027-01-01'), ['2026-06-05', '2026-06-19', '2026-07-03', '2026-07-17', '2026-07-31']);
+  });
+
+  test('a quarterly second Tuesday keeps its count when one is skipped and one moved', () => {
+    const rule = { start: '2026-01-13', freq: 'monthly', interval: 3, monthlyBy: 'weekday', count: 4, exceptions: { '2026-04-14': { skip: true }, '2026-07-14': { date: '2026-07-15' } } };
+    const days = recurringOccurrences(rule, '2030-01-01');
+    assert.deepEqual(days.map((o) => (o.skipped ? '-' : o.date)), ['2026-01-13', '-', '2026-07-15', '2026-10-13']);
+  });
+});
+
+// A bank's balance on a date worked out from scratch, independently of the
+// ledger: start from the latest known balance on or before the date and walk
+// the day's events in order (reset, PTO, credit, accrual), applying the
+// carryover limit and cap. Before the start date the events are undone.
+function referenceBalanceOn(planner, dateKey, bankId) {
+  const bank = planner.getBank(bankId);
+  const rules = planner.accrualRules(bank);
+  const cap = policyLimit(bank.balanceCap);
+  const carryover = policyLimit(bank.carryoverLimit);
+  const eventsBetween = (afterKey, throughKey) => {
+    const events = [];
+    for (const a of rules.length ? planner.accrualsBetween(addDays(day(afterKey), 1), day(throughKey), rules) : []) {
+      events.push({ date: ymd(a.date), order: 3, hours: a.hours });
+    }
+    for (const r of planner.bankEntries(planner.plannedPTO(), bank)) {
+      for (const c of planner.ptoRangeCharges(r)) {
+        if (c.date > afterKey && c.date <= throughKey) events.push({ date: c.date, order: 1, hours: -c.hours });
+      }
+    }
+    for (const c of planner.bankEntries(planner.plannedCredits(), bank)) {
+      if (c.date > afterKey && c.date <= throughKey) events.push({ date: c.date, order: 2, hours: Math.max(0, Number(c.hours) || 0) });
+    }
+    if (carryover !== null) {
+      for (let reset = planner.nextResetAfter(day(afterKey), bank); ymd(reset) <= throughKey; reset = planner.nextResetAfter(reset, bank)) {
+        events.push({ date: ymd(reset), order: 0, reset: true });
+      }
+    }
+    return events.sort((a, b) => (a.date === b.date ? a.order - b.order : a.date < b.date ? -1 : 1));
+  };
+
+  const anchors = planner.balanceAnchors(bank);
+  if (dateKey < anchors[0].date) {
+    return eventsBetween(dateKey, anchors[0].date).reduce((balance, e) => balance - (e.hours || 0), anchors[0].balance);
+  }
+  const anchor = anchors.filter((a) => a.date <= dateKey).pop();
+  let balance = anchor.balance;
+  for (const e of eventsBetween(anchor.date, dateKey)) {
+    if (e.reset) balance = Math.min(balance, carryover);
+    else if (e.order === 3 && cap !== null) balance += Math.min(e.hours, Math.max(0, cap - balance));
+    else balance += e.hours;
+  }
+  return balance;
+}
+
+test.describe('balance ledger', () => {
+  const policy = plan(
+    {
+      ptoRanges: [{ from: '2026-03-02', to: '2026-03-06', bank: 'vacation' }],
+      credits: [{ date: '2026-05-01', hours: 16, bank: 'vacation' }],
+    },
+    { balanceCap: 40, carryoverLimit: 20, resetDate: '07-01', snapshots: [{ date: '2026-09-15', balance: 12 }] }
+  );
+
+  test('snapshots anchor the dates on and after them', () => {
+    // 40 h plus paydays on 2026-01-08, 01-22, 02-05 and 02-19, then a 30 h snapshot
+    const planner = createPlanner(plan({}, { snapshots: [{ date: '2026-03-01', balance: 30 }] }));
+    assert.equal(planner.getBalanceOn('2026-02-28'), 56);
+    assert.equal(planner.getBalanceOn('2026-03-01'), 30);
+    assert.equal(planner.getBalanceOn('2026-03-05'), 34);
+    assert.equal(planner.getBalanceOn('2025-12-25'), 40);
+  });
+
+  // A payday (2026-03-05), PTO, a credit, a snapshot and a reset all on one
+  // day, in a second bank with its own schedule next to the first
+  const sameDay = plan(
+    {
+      banks: [
+        { ...policy.banks[0], snapshots: [{ date: '2026-03-05', balance: 30 }], resetDate: '03-05', balanceCap: null },
+        { id: 'sick', name: 'Sick', startBalance: 5, accrualPerPeriod: 2, firstPayday: '2026-01-15', payScheduleType: 'semimonthly', carryoverLimit: 8, resetDate: '01-01' },
+      ],
+      ptoRanges: [
+        { from: '2026-03-05', to: '2026-03-05', bank: 'vacation' },
+        { from: '2026-12-30', to: '2027-01-04', bank: 'sick' },
+      ],
+      credits: [
+        { date: '2026-03-05', hours: 6, bank: 'vacation' },
+        { date: '2027-01-01', hours: 3, bank: 'sick' },
+      ],
+    }
+  );
+
+  // The policy plan as a what-if scenario leaves it: extra PTO and credits
+  // and changed bank settings, merged the way the page merges them
+  const scenario = {
+    ...policy,
+    banks: policy.banks.map((b) => ({ ...b, balanceCap: 30, resetDate: '10-01', snapshots: [...b.snapshots, { date: '2026-11-02', balance: 5 }] })),
+    ptoRanges: [...policy.ptoRanges, { from: '2026-08-03', to: '2026-08-14', bank: 'vacation' }],
+    credits: [...policy.credits, { date: '2026-10-01', hours: 10, bank: 'vacation' }],
+  };
+
+  const cases = [
+    ['a plain plan', plan()],
+    ['a cap, carryover limit, reset and snapshot', policy],
+    ['a reset that forfeits a negative-going balance', plan({ ptoRanges: [{ from: '2026-06-01', to: '2026-06-30', bank: 'vacation' }] }, { carryoverLimit: 0, resetDate: '06-15' })],
+    ['several entries on the same day in two banks', sameDay],
+    ['a what-if scenario', scenario],
+  ];
+  for (const [name, state] of cases) {
+    test(`the ledger matches the reference calculation with ${name}`, () => {
+      const planner = createPlanner(state);
+      const start = addDays(day(state.startDate), -30);
+      for (const bank of state.banks) {
+        const series = ledgerSeries(planner.ledgerFor(bank.id, addDays(start, 430)), start, 430);
+        for (const p of series) {
+          const expected = referenceBalanceOn(planner, ymd(p.date), bank.id);
+          assert.ok(Math.abs(p.y - expected) < 1e-6, `${bank.id} ${ymd(p.date)}: ${p.y} != ${expected}`);
+        }
+      }
+    });
+  }
+
+  test('a scenario credit raises only the scenario balance', () => {
+    const planner = createPlanner(policy);
+    const before = planner.getBalanceOn('2026-03-01');
+    const credit = { date: '2026-02-02', hours: 8, bank: 'vacation' };
+    assert.equal(createPlanner({ ...policy, credits: [...policy.credits, credit] }).getBalanceOn('2026-03-01'), before + 8);
+    assert.equal(planner.getBalanceOn('2026-03-01'), before);
+  });
+
+  test('each ledger entry adds its hours to the running balance', () => {
+    const ledger = createPlanner(policy).ledgerFor('vacation', '2026-12-31');
+    ledger.entries.forEach((e, i) => {
+      const before = i ? ledger.entries[i - 1].balance : ledger.startBalance;
+      assert.ok(Math.abs(before + e.hours - e.balance) < 1e-9, `${e.date} ${e.type}`);
+    });
+  });
+
+  test('a planner reading a getter sees the current state after clearCaches', () => {
+    let state = plan();
+    const planner = createPlanner(() => state);
+    assert.equal(planner.getBalanceOn('2026-01-05'), 40);
+    state = plan({ credits: [{ date: '2026-01-02', hours: 8, bank: 'vacation' }] });
+    planner.clearCaches();
+    assert.equal(planner.getBalanceOn('2026-01-05'), 48);
+  });
+});
+
+test.describe('CSV import', () => {
+  test('columns are matched by header name in any order', () => {
+    const { columns, missing, records } = readCsvRows('Notes,End Date,Start Date\r\n"Beach, finally",2026-07-10,7/6/2026\r\n', 'pto');
+    assert.deepEqual(missing, []);
+    assert.deepEqual(columns, { from: 2, to: 1, note: 0 });
+    assert.deepEqual(records, [{ line: 2, values: { from: '7/6/2026', to: '2026-07-10', bank: '', totalHours: '', note: 'Beach, finally' } }]);
+  });
+
+  test('headers from another tool are reported and can be matched by hand', () => {
+    const text = 'Leave type,Begins,Ends,Comment\nVacation,2026-07-06,2026-07-10,Beach\n';
+    const unmatched = readCsvRows(text, 'pto');
+    assert.deepEqual(unmatched.header, ['Leave type', 'Begins', 'Ends', 'Comment']);
+    assert.deepEqual(unmatched.missing, ['from']);
+    const matched = readCsvRows(text, 'pto', { bank: 0, from: 1, to: 2, note: 3 });
+    assert.deepEqual(matched.missing, []);
+    assert.deepEqual(matched.records[0].values, { from: '2026-07-06', to: '2026-07-10', bank: 'Vacation', totalHours: '', note: 'Beach' });
+    assert.deepEqual(readCsvRows(text, 'credit', { date: 1 }).missing, ['hours']);
+  });
+});
@@ -0,0 +1,125 @@
+// Tests for the sync server (server.js) through the HTTP adapter in
+// storage.js. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createSyncServer } = require('../server.js');
+const { createHttpAdapter, ConflictError } = require('../storage.js');
+
+const PLAN = JSON.stringify({
+  schemaVersion: 4,
+  startDate: '2026-01-01',
+  banks: [{ id: 'vacation', name: 'Vacation', startBalance: 40, accrualPerPeriod: 4, firstPayday: '2026-01-08', payFrequencyDays: 14 }],
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vacation-planner-server-'));
+const PAGE = 'http://planner.example';
+const server = createSyncServer({ dir, origins: [PAGE] });
+let base;
+let plans;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  plans = createHttpAdapter(base);
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// The plan with one bank setting changed, as JSON
+function edited(startBalance) {
+  const plan = JSON.parse(PLAN);
+  plan.banks[0].startBalance = startBalance;
+  return JSON.stringify(plan);
+}
+
+test('a new plan is stored, listed and loaded with its ETag', async () => {
+  const { etag } = await plans.save('laptop', PLAN, { etag: null, name: 'My plan' });
+  assert.match(etag, /^"[\w-]+"$/);
+  const loaded = await plans.load('laptop');
+  assert.equal(loaded.etag, etag);
+  assert.equal(loaded.name, 'My plan');
+  assert.equal(JSON.parse(loaded.json).banks[0].startBalance, 40);
+  const listed = (await plans.list()).find((p) => p.id === 'laptop');
+  assert.deepEqual({ name: listed.name, etag: listed.etag }, { name: 'My plan', etag });
+  assert.ok(fs.existsSync(path.join(dir, 'laptop.json')));
+  assert.equal(await plans.load('nothing-here'), null);
+});
+
+test('a save based on an old version is refused with the current plan', async () => {
+  const { etag: first } = await plans.save('shared', PLAN, { etag: null, name: 'Shared' });
+  const { etag: second } = await plans.save('shared', edited(50), { etag: first, name: 'Shared' });
+  assert.notEqual(second, first);
+  await assert.rejects(plans.save('shared', edited(60), { etag: first }), (err) => {
+    assert.ok(err instanceof ConflictError);
+    assert.equal(err.current.etag, second);
+    assert.equal(JSON.parse(err.current.json).banks[0].startBalance, 50);
+    return true;
+  });
+  await assert.rejects(plans.save('shared', PLAN, { etag: null }), ConflictError);
+  await assert.rejects(plans.save('missing', PLAN, { etag: second }), (err) => err instanceof ConflictError && err.current === null);
+  const { etag: forced } = await plans.save('shared', edited(60), { etag: second, name: 'Shared' });
+  assert.equal(JSON.parse((await plans.load('shared')).json).banks[0].startBalance, 60);
+  assert.equal((await plans.load('shared')).etag, forced);
+});
+
+test('deleting needs the current version', async () => {
+  const { etag } = await plans.save('old', PLAN, { etag: null, name: 'Old' });
+  await assert.rejects(plans.remove('old', '"stale"'), ConflictError);
+  await plans.remove('old', etag);
+  assert.equal(await plans.load('old'), null);
+  await plans.remove('old', etag);
+});
+
+test('invalid plans and ids are refused', async () => {
+  await assert.rejects(plans.save('bad', JSON.stringify({ banks: [{ id: 'vacation', payFrequencyDays: 0 }] })), /not valid: state\.banks\[0\]\.payFrequencyDays/);
+  assert.equal(await plans.load('bad'), null);
+  assert.equal((await fetch(`${base}/plans/..%2Fescape`)).status, 400);
+  assert.equal((await fetch(`${base}/plans/%E0%A4%A`)).status, 400);
+  assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+  assert.equal((await fetch(`${base}/plans`, { method: 'PUT', body: '[]' })).status, 405);
+  const garbled = await fetch(`${base}/plans/garbled`, { method: 'PUT', body: '{ not json' });
+  assert.equal(garbled.status, 400);
+  assert.equal((await fetch(`${base}/plans/large`, { method: 'PUT', body: `{"name":"${'x'.repeat(1024 * 1024)}"}` })).status, 413);
+});
+
+test('older plan versions are migrated when stored', async () => {
+  await plans.save('flat', JSON.stringify({ startDate: '2026-01-01', startBalance: 10, accrualPerPeriod: 4, firstPayday: '2026-01-08', payFrequencyDays: 14 }));
+  const stored = JSON.parse((await plans.load('flat')).json);
+  assert.equal(stored.schemaVersion, 4);
+  assert.equal(stored.banks[0].startBalance, 10);
+});
+
+test('only pages on the allowed origins may call the server', async () => {
+  const preflight = await fetch(`${base}/plans/laptop`, { method: 'OPTIONS', headers: { Origin: PAGE } });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), PAGE);
+  assert.match(preflight.headers.get('access-control-allow-headers'), /If-Match/);
+  assert.equal((await fetch(`${base}/plans/laptop`, { headers: { Origin: PAGE } })).headers.get('access-control-expose-headers'), 'ETag');
+  const elsewhere = await fetch(`${base}/plans/laptop`, { method: 'DELETE', headers: { Origin: 'http://evil.example' } });
+  assert.equal(elsewhere.status, 403);
+  assert.equal(elsewhere.headers.get('access-control-allow-origin'), null);
+  assert.ok(await plans.load('laptop'));
+  assert.equal((await fetch(`${base}/plans`)).headers.get('access-control-allow-origin'), null);
+});
+
+test('unreadable plan files are left out of the list', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  fs.writeFileSync(path.join(dir, 'corrupt.json'), '{ half a plan');
+  const listed = await plans.list();
+  assert.ok(listed.some((p) => p.id === 'laptop'));
+  assert.ok(!listed.some((p) => p.id === 'corrupt'));
+  assert.match(console.error.mock.calls[0].arguments[0], /skipping .*corrupt\.json/);
+  fs.rmSync(path.join(dir, 'corrupt.json'));
+});
+
+test('an unreachable server is reported', async () => {
+  const offline = createHttpAdapter('http://127.0.0.1:9/', () => Promise.reject(new Error('connection refused')));
+  await assert.rejects(offline.list(), /Cannot reach the sync server at http:\/\/127\.0\.0\.1:9 \(connection refused\)/);
+});
@@ -0,0 +1,61 @@
+// Tests for the localStorage adapter (storage.js). Run with `npm test`.
+// The HTTP adapter is tested against the server in server.test.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROFILE_INDEX_KEY, stateKey, savedAtKey, ConflictError, createLocalAdapter } = require('../storage.js');
+
+// An in-memory stand-in for localStorage
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+    map,
+  };
+}
+
+const INDEX = JSON.stringify({ activeId: 'a', profiles: [{ id: 'a', name: 'Mine' }, { id: 'b', name: 'Spouse' }] });
+
+test('plans are stored under the keys the page has always used', () => {
+  const storage = memoryStorage({ [PROFILE_INDEX_KEY]: INDEX });
+  const plans = createLocalAdapter(storage);
+  assert.equal(plans.load('a'), null);
+  const { etag } = plans.save('a', '{"startDate":"2026-01-01"}');
+  assert.equal(storage.getItem(stateKey('a')), '{"startDate":"2026-01-01"}');
+  assert.equal(storage.getItem(savedAtKey('a')), etag);
+  assert.ok(!isNaN(Date.parse(etag)));
+  assert.deepEqual(plans.load('a'), { json: '{"startDate":"2026-01-01"}', name: 'Mine', etag });
+  assert.deepEqual(plans.list(), [{ id: 'a', name: 'Mine', etag }]);
+  plans.remove('a');
+  assert.equal(storage.map.size, 1);
+});
+
+test('every save gets a new ETag', () => {
+  const plans = createLocalAdapter(memoryStorage());
+  const etags = new Set();
+  for (let i = 0; i < 5; i++) etags.add(plans.save('a', `{"n":${i}}`).etag);
+  assert.equal(etags.size, 5);
+});
+
+test('a save based on an old version is refused with the current plan', () => {
+  const plans = createLocalAdapter(memoryStorage({ [PROFILE_INDEX_KEY]: INDEX }));
+  const { etag: first } = plans.save('b', '{"n":1}', { etag: null });
+  const { etag: second } = plans.save('b', '{"n":2}', { etag: first });
+  assert.throws(() => plans.save('b', '{"n":3}', { etag: first }), (err) => {
+    assert.ok(err instanceof ConflictError);
+    assert.deepEqual(err.current, { json: '{"n":2}', name: 'Spouse', etag: second });
+    return true;
+  });
+  assert.throws(() => plans.save('b', '{"n":3}', { etag: null }), ConflictError);
+  assert.throws(() => plans.remove('b', first), ConflictError);
+  plans.remove('b', second);
+  assert.equal(plans.load('b'), null);
+});
+
+test('plans saved before save times were kept have an empty ETag', () => {
+  const plans = createLocalAdapter(memoryStorage({ [stateKey('a')]: '{}' }));
+  assert.equal(plans.load('a').etag, '');
+  assert.notEqual(plans.save('a', '{}', { etag: '' }).etag, '');
+});